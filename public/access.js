@@ -11,9 +11,10 @@ document.getElementById("submitBtn").addEventListener("click", submitAccess);
       }
 
       try {
-        const res = await fetch('https://eclipsehuntergp.onrender.com/auth/access', {
+        const res = await fetch('/auth/access', {
   method: 'POST',
   headers: { 'Content-Type': 'application/json' },
+  credentials: 'same-origin',
   body: JSON.stringify({ sitePassword })
 });
 
@@ -28,6 +29,8 @@ document.getElementById("submitBtn").addEventListener("click", submitAccess);
         if (!data.ok) {
           if (data.error === 'invalid_site_password') {
             msg.textContent = "رمز اشتباه است";
+          } else if (data.error === 'too_many_attempts') {
+            msg.textContent = "تلاش‌های ناموفق زیاد بود؛ چند دقیقه بعد دوباره امتحان کنید";
           } else if (data.error === 'missing_password') {
             msg.textContent = "رمز وارد نشده است";
           } else {
@@ -0,0 +1,284 @@
+(function(){
+  const msg = document.getElementById('message');
+  const rows = document.getElementById('userRows');
+  const moreBtn = document.getElementById('moreUsersBtn');
+
+  const ROLE_NAMES = { user: 'کاربر', moderator: 'ناظر', admin: 'مدیر' };
+  const REASON_NAMES = { spam: 'هرزنامه', harassment: 'آزار و توهین', hate: 'نفرت‌پراکنی', violence: 'خشونت یا تهدید', sexual: 'محتوای جنسی', illegal: 'غیرقانونی', other: 'سایر' };
+  const RESOLUTION_NAMES = { dismissed: 'رد شد', message_deleted: 'پیام حذف شد', warned: 'هشدار داده شد', banned: 'مسدود شد' };
+  const ERRORS = {
+    forbidden: 'برای این کار دسترسی ندارید',
+    not_found: 'پیدا نشد',
+    invalid_id: 'شناسه نامعتبر است',
+    invalid_duration: 'مدت تعلیق نامعتبر است',
+    invalid_role: 'نقش نامعتبر است',
+    no_message: 'این گزارش پیامی ندارد',
+    invalid_action: 'اقدام نامعتبر است'
+  };
+
+  // نشست همان نشست صفحه‌ی چت است (session.js)
+  let me = null;
+  let state = { q: '', page: 1 };
+  let reportPage = 1;
+  let searchTimer = null;
+
+  function showMessage(text, ok) {
+    msg.textContent = text || '';
+    msg.style.color = ok ? 'var(--success)' : 'var(--danger)';
+  }
+
+  function escapeHtml(s) {
+    return String(s == null ? '' : s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+  }
+
+  async function api(path, opts = {}, retried = false) {
+    if (EclipseSession.expiresSoon()) await EclipseSession.refresh().catch(() => {});
+    const res = await fetch('/api' + path, Object.assign({}, opts, {
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + EclipseSession.token() }
+    }));
+    const data = await res.json().catch(() => null);
+
+    if (res.status === 401 && data && data.error === 'token_expired' && !retried) {
+      await EclipseSession.refresh();
+      return api(path, opts, true);
+    }
+    if (res.status === 401) {
+      location.href = '/login.html';
+      throw new Error('signed_out');
+    }
+    if (!res.ok || !data || !data.ok) throw new Error((data && data.error) || 'server_error');
+    return data;
+  }
+
+  function statusBadge(u) {
+    if (u.bannedAt) return '<span class="badge banned">مسدود دائم</span>';
+    if (u.suspendedUntil && new Date(u.suspendedUntil) > new Date()) {
+      return `<span class="badge suspended">معلق تا ${escapeHtml(new Date(u.suspendedUntil).toLocaleString())}</span>`;
+    }
+    return u.online ? '<span class="badge online">آنلاین</span>' : '<span class="badge">فعال</span>';
+  }
+
+  // staff can only act on users ranked below them
+  function outranks(u) {
+    return (u.role || 'user') === 'user' || (me.role === 'admin' && u.role === 'moderator');
+  }
+
+  function actionButtons(u) {
+    const isAdmin = me.role === 'admin';
+    if (!outranks(u)) return '<span class="muted">—</span>';
+
+    const suspended = u.suspendedUntil && new Date(u.suspendedUntil) > new Date();
+    const btns = [
+      suspended
+        ? '<button class="btn ghost" data-act="unsuspend">لغو تعلیق</button>'
+        : '<button class="btn ghost" data-act="suspend">تعلیق</button>',
+      '<button class="btn ghost" data-act="logout">خروج اجباری</button>'
+    ];
+    if (isAdmin) {
+      btns.push(u.bannedAt
+        ? '<button class="btn ghost" data-act="unban">رفع مسدودیت</button>'
+        : '<button class="btn danger" data-act="ban">مسدود دائم</button>');
+      btns.push(u.role === 'moderator'
+        ? '<button class="btn ghost" data-act="demote">حذف نقش ناظر</button>'
+        : '<button class="btn ghost" data-act="promote">ناظر کردن</button>');
+    }
+    return btns.join('');
+  }
+
+  function renderUsers(users, append) {
+    if (!append) rows.innerHTML = '';
+    if (!append && !users.length) {
+      rows.innerHTML = '<tr><td colspan="5" class="muted">کاربری پیدا نشد</td></tr>';
+    }
+
+    users.forEach(u => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>
+          <div>${escapeHtml(u.displayName || u.username)}</div>
+          <div class="muted" dir="ltr">@${escapeHtml(u.username)}</div>
+        </td>
+        <td>${escapeHtml(ROLE_NAMES[u.role || 'user'])}</td>
+        <td>${statusBadge(u)}${u.moderationReason ? `<div class="muted">${escapeHtml(u.moderationReason)}</div>` : ''}</td>
+        <td class="muted">${u.lastSeenAt ? escapeHtml(new Date(u.lastSeenAt).toLocaleString()) : '—'}</td>
+        <td class="actions">${actionButtons(u)}</td>
+      `;
+      tr.querySelectorAll('button[data-act]').forEach(btn => {
+        btn.addEventListener('click', () => runAction(btn.dataset.act, u));
+      });
+      rows.appendChild(tr);
+    });
+  }
+
+  async function loadUsers(page) {
+    const params = new URLSearchParams({ page: String(page) });
+    if (state.q) params.set('q', state.q);
+    const role = document.getElementById('roleFilter').value;
+    const status = document.getElementById('statusFilter').value;
+    if (role) params.set('role', role);
+    if (status) params.set('status', status);
+
+    try {
+      const data = await api('/admin/users?' + params.toString());
+      state.page = page;
+      renderUsers(data.users || [], page > 1);
+      moreBtn.style.display = data.hasMore ? '' : 'none';
+    } catch (err) {
+      showMessage(ERRORS[err.message] || 'بارگذاری کاربران ناموفق بود', false);
+    }
+  }
+
+  async function runAction(act, u) {
+    const name = u.displayName || u.username;
+    const base = `/admin/users/${u._id}`;
+    try {
+      if (act === 'suspend') {
+        const hours = prompt(`مدت تعلیق ${name} (ساعت):`, '24');
+        if (hours === null) return;
+        const reason = prompt('دلیل (اختیاری):', '') || '';
+        await api(base + '/suspend', { method: 'POST', body: JSON.stringify({ hours: parseFloat(hours), reason }) });
+      } else if (act === 'unsuspend') {
+        await api(base + '/suspend', { method: 'DELETE' });
+      } else if (act === 'ban') {
+        const reason = prompt(`دلیل مسدودسازی دائم ${name}:`, '');
+        if (reason === null) return;
+        await api(base + '/ban', { method: 'POST', body: JSON.stringify({ reason }) });
+      } else if (act === 'unban') {
+        await api(base + '/ban', { method: 'DELETE' });
+      } else if (act === 'logout') {
+        if (!confirm(`${name} از همه‌ی دستگاه‌ها خارج شود؟`)) return;
+        await api(base + '/logout', { method: 'POST' });
+      } else if (act === 'promote' || act === 'demote') {
+        await api(base + '/role', { method: 'PUT', body: JSON.stringify({ role: act === 'promote' ? 'moderator' : 'user' }) });
+      }
+      showMessage('انجام شد', true);
+      loadUsers(1);
+    } catch (err) {
+      showMessage(ERRORS[err.message] || 'عملیات ناموفق بود', false);
+    }
+  }
+
+  function userLabel(u) {
+    if (!u) return '—';
+    return `${escapeHtml(u.displayName || u.username)} <span class="muted" dir="ltr">@${escapeHtml(u.username)}</span>`;
+  }
+
+  function renderReports(reports, append) {
+    const list = document.getElementById('reportList');
+    if (!append) list.innerHTML = '';
+    if (!append && !reports.length) list.innerHTML = '<div class="muted">گزارشی نیست</div>';
+
+    reports.forEach(r => {
+      const el = document.createElement('div');
+      el.className = 'report';
+      const snap = r.snapshot;
+      const target = r.targetUserId;
+      const canAct = target && outranks(target);
+      el.innerHTML = `
+        <div class="row" style="justify-content:space-between">
+          <span><strong>${escapeHtml(REASON_NAMES[r.reason] || r.reason)}</strong> — ${r.messageId ? 'پیام' : 'کاربر'}</span>
+          <span class="muted">${escapeHtml(new Date(r.createdAt).toLocaleString())}</span>
+        </div>
+        <div>گزارش‌دهنده: ${userLabel(r.reporterId)}</div>
+        <div>کاربر گزارش‌شده: ${userLabel(target)} ${target ? statusBadge(target) : ''}</div>
+        ${r.note ? `<div>توضیح: ${escapeHtml(r.note)}</div>` : ''}
+        ${snap ? `<div class="snapshot">${escapeHtml(snap.text || '')}${(snap.attachments || []).length ? `\n📎 ${snap.attachments.length} پیوست` : ''}</div>
+          <div class="muted" dir="ltr">message ${escapeHtml(r.messageId)}</div>` : ''}
+        ${r.status === 'resolved'
+          ? `<div class="muted">نتیجه: ${escapeHtml(RESOLUTION_NAMES[r.resolution] || r.resolution)} — ${userLabel(r.resolvedBy)}${r.moderatorNote ? ` — ${escapeHtml(r.moderatorNote)}` : ''}</div>`
+          : `<div class="row">
+              <button class="btn ghost" data-act="dismiss">رد گزارش</button>
+              ${r.messageId ? '<button class="btn ghost" data-act="delete_message">حذف پیام</button>' : ''}
+              ${canAct ? '<button class="btn ghost" data-act="warn">هشدار به کاربر</button>' : ''}
+              ${canAct ? '<button class="btn danger" data-act="ban">مسدود دائم</button>' : ''}
+            </div>`}
+      `;
+      el.querySelectorAll('button[data-act]').forEach(btn => {
+        btn.addEventListener('click', () => resolveReport(r, btn.dataset.act));
+      });
+      list.appendChild(el);
+    });
+  }
+
+  async function loadReports(page) {
+    const status = document.getElementById('reportStatusFilter').value;
+    try {
+      const data = await api(`/admin/reports?status=${status}&page=${page}`);
+      reportPage = page;
+      renderReports(data.reports || [], page > 1);
+      document.getElementById('moreReportsBtn').style.display = data.hasMore ? '' : 'none';
+    } catch (err) {
+      showMessage(ERRORS[err.message] || 'بارگذاری گزارش‌ها ناموفق بود', false);
+    }
+  }
+
+  async function resolveReport(report, action) {
+    const note = prompt('یادداشت ناظر (اختیاری؛ در هشدار به کاربر نشان داده می‌شود):', '');
+    if (note === null) return;
+    try {
+      await api(`/admin/reports/${report._id}/resolve`, { method: 'POST', body: JSON.stringify({ action, note }) });
+      showMessage('گزارش رسیدگی شد', true);
+      loadReports(1);
+      if (action === 'ban') loadUsers(1);
+    } catch (err) {
+      showMessage(ERRORS[err.message] || 'رسیدگی ناموفق بود', false);
+    }
+  }
+
+  async function deleteMessage() {
+    const input = document.getElementById('messageIdInput');
+    const id = input.value.trim();
+    if (!id || !confirm('این پیام برای همه حذف شود؟')) return;
+    try {
+      await api(`/admin/messages/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      input.value = '';
+      showMessage('پیام حذف شد', true);
+    } catch (err) {
+      showMessage(ERRORS[err.message] || 'حذف پیام ناموفق بود', false);
+    }
+  }
+
+  async function init() {
+    try {
+      const data = await api('/me');
+      me = data.user;
+    } catch (err) {
+      showMessage('خطا در بارگذاری حساب', false);
+      return;
+    }
+
+    if (!me || !['admin', 'moderator'].includes(me.role)) {
+      document.getElementById('usersCard').style.display = 'none';
+      document.getElementById('reportsCard').style.display = 'none';
+      showMessage(ERRORS.forbidden, false);
+      return;
+    }
+
+    document.getElementById('reportStatusFilter').addEventListener('change', () => loadReports(1));
+    document.getElementById('moreReportsBtn').addEventListener('click', () => loadReports(reportPage + 1));
+    loadReports(1);
+
+    // moderators work the report queue only; user management and message deletion are admin-only
+    if (me.role !== 'admin') {
+      document.getElementById('usersCard').style.display = 'none';
+      document.getElementById('messagesCard').style.display = 'none';
+      return;
+    }
+
+    document.getElementById('userQuery').addEventListener('input', e => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        state.q = e.target.value.trim();
+        loadUsers(1);
+      }, 300);
+    });
+    document.getElementById('roleFilter').addEventListener('change', () => loadUsers(1));
+    document.getElementById('statusFilter').addEventListener('change', () => loadUsers(1));
+    moreBtn.addEventListener('click', () => loadUsers(state.page + 1));
+    document.getElementById('deleteMessageBtn').addEventListener('click', deleteMessage);
+
+    loadUsers(1);
+  }
+
+  init();
+})();
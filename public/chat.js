@@ -9,13 +9,14 @@
 const API_BASE = '/api';
 const UPLOAD_PATH = '/upload/media';
 const SOCKET_URL = '/';
-const TOKEN_KEY = 'eclipse:token';
 const THEME_KEY = 'eclipse:theme';
 
 const PRESENCE_INTERVAL = 25000; // ms
 const SEEN_BATCH_DELAY = 400; // ms
 const OPTIMISTIC_TIMEOUT = 120000; // ms
 const MAX_OFFLINE_QUEUE = 200;
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_LOAD_THRESHOLD = 120; // px from top before older page is fetched
 
 /* UTILITIES */
 function $id(id){ return document.getElementById(id); }
@@ -25,6 +26,12 @@ function uid(prefix='id'){
   return prefix + '_' + Math.random().toString(36).slice(2,10);
 }
 
+function isMine(message){
+  const sender = message && (message.from ||
+    (message.senderId && (message.senderId._id || message.senderId)));
+  return !!(me && sender && String(sender) === String(me._id));
+}
+
 function nowIso(){ return (new Date()).toISOString(); }
 
 function escapeHtml(s){
@@ -48,7 +55,7 @@ function formatTime(iso){
 }
 
 /* GLOBAL STATE */
-let token = localStorage.getItem(TOKEN_KEY) || null;
+let token = EclipseSession.token();
 let me = null;
 let socket = null;
 let isConnected = false;
@@ -56,13 +63,50 @@ let isConnected = false;
 let conversations = [];
 let activeConvId = null;
 let messagesCache = new Map(); // convId -> array(messages)
+let historyState = new Map(); // convId -> { hasMore, loading }
+let pinsCache = new Map(); // convId -> array(pinned messages), latest last
+let pinIndex = 0; // pin shown in the banner for the active conversation
+let blockedUserIds = new Set(); // users the current user has blocked
+let reactionEmojis = []; // server allowlist, sent with /me
 
 let offlineQueue = []; // payloads
 let seenBuffer = new Map(); // convId -> Set(messageIds)
 let seenFlushTimer = null;
 let presenceTimer = null;
+/* SESSION TOKENS — storage and the refresh request live in session.js */
+function clearTokens(){
+  EclipseSession.clear();
+  token = null;
+}
+
+function refreshSession(){
+  const pending = EclipseSession.refresh().then(t=>{ token = t; return t; });
+  pending.catch(err=>{ if(err.status === 401) signedOut(); });
+  return pending;
+}
+
+// another tab may already have refreshed the shared session
+async function ensureFreshToken(){
+  token = EclipseSession.token();
+  if(EclipseSession.expiresSoon()) await refreshSession().catch(()=>{});
+}
+
+function signedOut(){
+  clearTokens();
+  stopPresence();
+  if(socket) socket.disconnect();
+  location.href = '/login.html';
+}
+
+async function logout(){
+  await EclipseSession.logout();
+  signedOut();
+}
+
 /* API HELPERS */
-async function apiFetch(path, opts = {}){
+async function apiFetch(path, opts = {}, retried = false){
+  await ensureFreshToken();
+
   const headers = Object.assign({}, opts.headers || {});
   if(!(opts.body instanceof FormData) && !headers['Content-Type'])
     headers['Content-Type'] = 'application/json';
@@ -78,6 +122,13 @@ async function apiFetch(path, opts = {}){
     data = text ? JSON.parse(text) : null;
   } catch(e){ data = null; }
 
+  if(res.status === 401 && data && data.error === 'token_expired' && !retried){
+    await refreshSession();
+    return apiFetch(path, opts, true);
+  }
+  if(res.status === 401 && data && data.error === 'session_revoked') signedOut();
+  if(res.status === 403 && data && /^account_(banned|suspended)$/.test(data.error)) signedOut();
+
   if(!res.ok){
     const err = (data && data.error) ? data.error : (text || `HTTP ${res.status}`);
     const ex = new Error(String(err));
@@ -89,6 +140,7 @@ async function apiFetch(path, opts = {}){
 }
 
 async function apiUpload(path, formData){
+  await ensureFreshToken();
   const headers = {};
   if(token) headers['Authorization'] = 'Bearer ' + token;
 
@@ -109,17 +161,16 @@ function connectSocket(){
   if(socket && socket.connected) return;
   if(!token) return;
 
+  // evaluated on every (re)connect so a reconnect never presents an expired token
   socket = io(SOCKET_URL, {
-    auth: { token },
+    auth: cb => ensureFreshToken().then(()=> cb({ token })),
     transports:['websocket']
   });
 
   socket.on('connect', ()=>{
     isConnected = true;
     console.info('[chat] socket connected', socket.id);
-    conversations.forEach(c=>{
-      if(c && c._id) socket.emit('private:join', { convId: c._id });
-    });
+    // the server puts this socket in every conversation room we belong to
     flushOfflineQueue();
   });
 
@@ -128,12 +179,26 @@ function connectSocket(){
     console.warn('[chat] socket disconnected', reason);
   });
 
-  socket.on('connect_error', err=>console.error('[chat] connect_error', err && err.message));
+  socket.on('connect_error', err=>{
+    console.error('[chat] connect_error', err && err.message);
+    if(err && /^(not_authenticated|session_revoked|account_banned|account_suspended)$/.test(err.message)) signedOut();
+    // middleware rejections are not retried by socket.io itself
+    else if(err && err.message === 'token_expired') refreshSession().then(()=> socket.connect()).catch(()=>{});
+    else if(err && err.message === 'rate_limited') reconnectLater(err.data && err.data.retryAfter);
+  });
+
+  socket.on('session:revoked', signedOut);
+  // the server cut us off for flooding; it refuses reconnects until the pause is over
+  socket.on('flood:disconnect', ({ retryAfter } = {})=> reconnectLater(retryAfter));
 
   setupSocketListeners();
   startPresence();
 }
 
+function reconnectLater(ms){
+  setTimeout(()=>{ if(socket && !socket.connected) socket.connect(); }, (ms || 60000) + 1000);
+}
+
 function startPresence(){
   if(presenceTimer) clearInterval(presenceTimer);
   presenceTimer = setInterval(()=>{
@@ -165,18 +230,17 @@ async function loadMe(){
     const res = await apiFetch('/me');
     if(res && res.user){
       me = res.user;
-      token = token || localStorage.getItem(TOKEN_KEY) || null;
+      reactionEmojis = (res.config && res.config.reactionEmojis) || [];
 
       applyProfileUI(me);
+      await loadBlocks();
       await fetchConversations();
       connectSocket();
+      loadNotices();
     }
   } catch(err){
     console.error('loadMe', err);
-    if(err && err.status === 401){
-      localStorage.removeItem(TOKEN_KEY);
-      token = null;
-    }
+    if(err && err.status === 401) clearTokens();
   }
 }
 
@@ -196,22 +260,34 @@ async function fetchConversations(){
 }
 
 /* OPEN CONVERSATION */
-async function openConversation(convId){
+// aroundId: open a window of history centred on that message (used by search hits)
+async function openConversation(convId, aroundId=null){
   if(!convId) return;
+
+  if(aroundId && String(convId) === String(activeConvId) && focusMessage(aroundId)) return;
+
+  const switching = String(convId) !== String(activeConvId);
+  if(switching) clearMessageSelection();
   activeConvId = convId;
 
   highlightActiveConv(convId);
+  renderChatHeader(convId);
 
   try{
-    const res = await apiFetch(`/conversations/${convId}/messages`);
+    const query = aroundId
+      ? `around=${encodeURIComponent(aroundId)}&limit=${HISTORY_PAGE_SIZE}`
+      : `limit=${HISTORY_PAGE_SIZE}`;
+    const res = await apiFetch(`/conversations/${convId}/messages?${query}`);
+    if(String(convId) !== String(activeConvId)) return;
     const msgs = Array.isArray(res.messages) ? res.messages : [];
 
     messagesCache.set(convId, msgs.slice());
+    historyState.set(convId, { hasMore: !!res.hasMore, hasNewer: !!res.hasNewer, loading: false });
     renderMessages(convId, msgs);
-
-    if(socket && socket.connected){
-      socket.emit('private:join', { convId });
-    }
+    ackDelivered(convId, msgs);
+    if(aroundId) focusMessage(aroundId);
+    if(!pinsCache.has(convId)) loadPins(convId);
+    else renderPinnedBar(convId, switching);
 
     attachSeenObservers(convId);
   }catch(e){
@@ -219,6 +295,304 @@ async function openConversation(convId){
   }
 }
 
+/* GROUPS */
+function isGroup(conv){
+  return !!conv && conv.type === 'group';
+}
+
+// only the owner and admins may pin in groups; anyone may in private chats
+function canPin(conv){
+  if(!isGroup(conv)) return true;
+  const uid = me && String(me._id);
+  return String(conv.ownerId) === uid || (conv.admins || []).some(id => String(id) === uid);
+}
+
+// title/avatar for a conversation: groups use their own, private chats the partner's
+function conversationDisplay(conv){
+  if(isGroup(conv)){
+    return {
+      title: conv.title || 'گروه',
+      avatar: conv.avatarUrl || '/default.png'
+    };
+  }
+
+  const partner = privatePartner(conv);
+  // the other side deleted their account and was removed from the chat
+  if(!partner || ((conv.participants || []).length === 1 && String(partner._id) === String(me && me._id))){
+    return { title: 'حساب حذف‌شده', avatar: '/default.png' };
+  }
+
+  return {
+    title: conv.title || (partner ? (partner.displayName || partner.username) : 'کاربر'),
+    avatar: (partner && (partner.avatarThumbUrl || partner.avatarUrl)) || '/default.png'
+  };
+}
+
+function privatePartner(conv){
+  return (conv.participants || [])
+      .find(p => String(p._id) !== String(me && me._id))
+    || (conv.participants && conv.participants[0]);
+}
+
+function renderChatHeader(convId){
+  const conv = conversations.find(c => String(c._id) === String(convId));
+  const titleEl = $id('chatTitle');
+  if(!titleEl) return;
+
+  if(!conv){
+    titleEl.textContent = 'انتخاب گفتگو';
+    const leaveBtn = $id('leaveGroupBtn');
+    if(leaveBtn) leaveBtn.style.display = 'none';
+    renderBlockState(null);
+    return;
+  }
+
+  const { title } = conversationDisplay(conv);
+  titleEl.textContent = isGroup(conv)
+    ? `${title} · ${(conv.participants || []).length} عضو`
+    : title;
+
+  const leaveBtn = $id('leaveGroupBtn');
+  if(leaveBtn) leaveBtn.style.display = isGroup(conv) ? '' : 'none';
+
+  renderBlockState(conv);
+}
+
+function systemMessageText(msg){
+  const sys = msg.system || {};
+  const actor = msg.fromName || 'کاربر';
+  const names = (sys.userIds || [])
+    .map(u => (u && (u.displayName || u.username)) || 'کاربر')
+    .join('، ');
+
+  switch(sys.action){
+    case 'created': return `${actor} گروه «${sys.title || ''}» را ساخت`;
+    case 'renamed': return `${actor} نام گروه را به «${sys.title || ''}» تغییر داد`;
+    case 'avatar_changed': return `${actor} تصویر گروه را تغییر داد`;
+    case 'members_added': return `${actor} ${names} را به گروه اضافه کرد`;
+    case 'member_removed': return `${actor} ${names} را از گروه حذف کرد`;
+    case 'member_left': return `${actor} گروه را ترک کرد`;
+    case 'admin_added': return `${actor} ${names} را مدیر گروه کرد`;
+    case 'admin_removed': return `${actor} ${names} را از مدیریت گروه برداشت`;
+    default: return msg.text || '';
+  }
+}
+
+function upsertConversation(conv){
+  if(!conv || !conv._id) return;
+
+  const idx = conversations.findIndex(c => String(c._id) === String(conv._id));
+  if(idx >= 0) conversations[idx] = Object.assign({}, conversations[idx], conv);
+  else conversations.unshift(conv);
+
+  renderConversationList(conversations);
+  highlightActiveConv(activeConvId);
+  if(String(conv._id) === String(activeConvId)) renderChatHeader(conv._id);
+}
+
+function removeConversation(convId){
+  conversations = conversations.filter(c => String(c._id) !== String(convId));
+  messagesCache.delete(convId);
+  historyState.delete(convId);
+  pinsCache.delete(convId);
+  renderConversationList(conversations);
+
+  if(String(convId) === String(activeConvId)){
+    activeConvId = null;
+    const box = $id('messageList');
+    if(box) box.innerHTML = '';
+    const bar = $id('pinnedBar');
+    if(bar) bar.style.display = 'none';
+    renderChatHeader(null);
+  }
+}
+
+async function leaveGroup(convId){
+  if(!confirm('ترک گروه؟')) return;
+  try{
+    await apiFetch(`/conversations/${convId}/leave`, { method:'POST' });
+    removeConversation(convId);
+  }catch(e){
+    console.error('leaveGroup', e);
+  }
+}
+
+/* BLOCKING */
+async function loadBlocks(){
+  try{
+    const res = await apiFetch('/blocks');
+    blockedUserIds = new Set((res.users || []).map(u => String(u._id)));
+  }catch(e){
+    console.error('loadBlocks', e);
+  }
+}
+
+// header button + notice above the composer for private chats blocked in either direction
+function renderBlockState(conv){
+  const btn = $id('blockUserBtn');
+  const notice = $id('blockedNotice');
+  const composer = q('.composer');
+  const partner = conv && !isGroup(conv) ? privatePartner(conv) : null;
+  const iBlocked = !!partner && blockedUserIds.has(String(partner._id));
+  const blocked = iBlocked || !!(partner && conv.blocked);
+
+  if(btn){
+    btn.style.display = partner ? '' : 'none';
+    btn.title = iBlocked ? 'رفع مسدودیت' : 'مسدود کردن';
+    btn.textContent = iBlocked ? '✅' : '🚫';
+  }
+
+  if(notice){
+    notice.style.display = blocked ? '' : 'none';
+    q('.blocked-text', notice).textContent = iBlocked
+      ? 'شما این کاربر را مسدود کرده‌اید.'
+      : 'امکان ارسال پیام در این گفتگو وجود ندارد.';
+    const unblock = $id('unblockBtn');
+    if(unblock) unblock.style.display = iBlocked ? '' : 'none';
+  }
+
+  if(composer) composer.classList.toggle('disabled', blocked);
+}
+
+async function toggleBlock(convId){
+  const conv = conversations.find(c => String(c._id) === String(convId));
+  if(!conv || isGroup(conv)) return;
+
+  const partner = privatePartner(conv);
+  if(!partner) return;
+
+  const block = !blockedUserIds.has(String(partner._id));
+  const name = partner.displayName || partner.username;
+  if(block && !confirm(`${name} مسدود شود؟ دیگر نمی‌توانید به یکدیگر پیام دهید.`)) return;
+
+  try{
+    await apiFetch(`/blocks/${partner._id}`, { method: block ? 'PUT' : 'DELETE' });
+    applyBlockChange(partner._id, block);
+  }catch(e){
+    console.error('toggleBlock', e);
+    alert(block ? 'مسدود کردن ناموفق بود' : 'رفع مسدودیت ناموفق بود');
+  }
+}
+
+function applyBlockChange(userId, blocked){
+  if(blocked) blockedUserIds.add(String(userId));
+  else blockedUserIds.delete(String(userId));
+
+  conversations.forEach(c=>{
+    if(isGroup(c)) return;
+    const partner = privatePartner(c);
+    // the partner may still block us, whatever we just toggled
+    if(partner && String(partner._id) === String(userId)) c.blocked = blocked || !!c.blockedBy;
+  });
+  renderChatHeader(activeConvId);
+}
+
+// the server refused a send because of a block the client didn't know about (the partner blocked us)
+function markConversationBlocked(convId){
+  const conv = conversations.find(c => String(c._id) === String(convId));
+  if(conv){ conv.blocked = true; conv.blockedBy = true; }
+  if(String(convId) === String(activeConvId)) renderChatHeader(convId);
+}
+
+/* HISTORY PAGING */
+async function loadOlderMessages(convId){
+  const state = historyState.get(convId);
+  if(!state || !state.hasMore || state.loading) return;
+
+  const cached = messagesCache.get(convId) || [];
+  const oldest = cached.find(m => m && m._id && !m.temp);
+  if(!oldest) return;
+
+  state.loading = true;
+  try{
+    const res = await apiFetch(
+      `/conversations/${convId}/messages?before=${encodeURIComponent(oldest._id)}&limit=${HISTORY_PAGE_SIZE}`
+    );
+    const older = Array.isArray(res.messages) ? res.messages : [];
+    state.hasMore = !!res.hasMore;
+
+    const known = new Set(cached.map(m => String(m._id)));
+    const fresh = older.filter(m => !known.has(String(m._id)));
+    messagesCache.set(convId, fresh.concat(messagesCache.get(convId) || []));
+
+    if(String(convId) === String(activeConvId)) prependMessages(convId, fresh);
+  }catch(e){
+    console.error('loadOlderMessages', e);
+  }finally{
+    state.loading = false;
+  }
+}
+
+async function loadNewerMessages(convId){
+  const state = historyState.get(convId);
+  if(!state || !state.hasNewer || state.loading) return;
+
+  const cached = (messagesCache.get(convId) || []).filter(m => m && m._id && !m.temp);
+  const newest = cached[cached.length - 1];
+  if(!newest) return;
+
+  state.loading = true;
+  try{
+    const res = await apiFetch(
+      `/conversations/${convId}/messages?after=${encodeURIComponent(newest._id)}&limit=${HISTORY_PAGE_SIZE}`
+    );
+    const newer = Array.isArray(res.messages) ? res.messages : [];
+    state.hasNewer = !!res.hasMore;
+
+    const known = new Set((messagesCache.get(convId) || []).map(m => String(m._id)));
+    const fresh = newer.filter(m => !known.has(String(m._id)));
+    messagesCache.set(convId, (messagesCache.get(convId) || []).concat(fresh));
+
+    if(String(convId) === String(activeConvId)){
+      fresh.forEach(m => appendMessage(convId, m, false));
+    }
+  }catch(e){
+    console.error('loadNewerMessages', e);
+  }finally{
+    state.loading = false;
+  }
+}
+
+// scroll a rendered message into view and flash it; false if it is not in the DOM
+function focusMessage(msgId){
+  const node = document.querySelector(`.message-item[data-id="${msgId}"]`);
+  if(!node) return false;
+
+  node.scrollIntoView({ block:'center' });
+  node.classList.add('focused');
+  setTimeout(()=> node.classList.remove('focused'), 1600);
+  return true;
+}
+
+// insert an older page above the current one without moving what the user is looking at
+function prependMessages(convId, messages){
+  const box = $id('messageList');
+  if(!box || !messages.length) return;
+
+  const prevHeight = box.scrollHeight;
+  const prevTop = box.scrollTop;
+  const anchor = box.firstElementChild;
+
+  messages.forEach(m => appendMessage(convId, m, false, anchor));
+
+  box.scrollTop = prevTop + (box.scrollHeight - prevHeight);
+}
+
+function setupHistoryScroll(){
+  const box = $id('messageList');
+  if(!box) return;
+
+  box.addEventListener('scroll', ()=>{
+    if(!activeConvId) return;
+
+    if(box.scrollTop < HISTORY_LOAD_THRESHOLD){
+      loadOlderMessages(activeConvId);
+    } else if(box.scrollHeight - box.scrollTop - box.clientHeight < HISTORY_LOAD_THRESHOLD){
+      loadNewerMessages(activeConvId);
+    }
+  });
+}
+
 /* RENDER CONVERSATION LIST */
 function renderConversationList(list){
   const wrap = $id('convList');
@@ -227,30 +601,26 @@ function renderConversationList(list){
   wrap.innerHTML = '';
 
   list.forEach(conv=>{
-    const partner =
-      (conv.participants || [])
-        .find(p => String(p._id) !== String(me && me._id))
-      || (conv.participants && conv.participants[0]);
-
-    const title =
-      conv.title ||
-      (partner ? (partner.displayName || partner.username) : 'کاربر');
-
-    const avatar =
-      (partner && partner.avatarUrl)
-        ? partner.avatarUrl
-        : '/default.png';
+    const { title, avatar } = conversationDisplay(conv);
 
     const item = document.createElement('div');
     item.className = 'conv-item';
+    if(isGroup(conv)) item.classList.add('group');
+    if(String(conv._id) === String(activeConvId)) item.classList.add('active');
     item.dataset.convid = conv._id;
 
+    const members = isGroup(conv)
+      ? `<div class="members">${(conv.participants || []).length} عضو</div>`
+      : '';
+
     item.innerHTML = `
-      <img class="conv-avatar" src="${avatar}" alt="">
+      <img class="conv-avatar" src="${escapeHtml(avatar)}" alt="">
       <div class="conv-meta">
-        <div class="name">${title}</div>
-        <div class="last">${conv.lastMessageText || ''}</div>
+        <div class="name">${escapeHtml(title)}</div>
+        ${members}
+        <div class="last">${escapeHtml(conv.lastMessageText || '')}</div>
       </div>
+      ${conv.unreadCount ? `<span class="unread">${conv.unreadCount > 99 ? '99+' : conv.unreadCount}</span>` : ''}
     `;
 
     item.addEventListener('click',()=>openConversation(conv._id));
@@ -259,6 +629,15 @@ function renderConversationList(list){
   });
 }
 
+function highlightActiveConv(convId){
+  const wrap = $id('convList');
+  if(!wrap) return;
+
+  wrap.querySelectorAll('.conv-item').forEach(item=>{
+    item.classList.toggle('active', String(item.dataset.convid) === String(convId));
+  });
+}
+
 /* RENDER MESSAGES */
 function renderMessages(convId, messages){
   const box = $id('messageList');
@@ -271,22 +650,35 @@ function renderMessages(convId, messages){
 }
 
 /* APPEND SINGLE MESSAGE */
-function appendMessage(convId, message, autoScroll=true){
+function appendMessage(convId, message, autoScroll=true, beforeNode=null){
   if(String(convId) !== String(activeConvId)) return;
 
   const tpl = document.getElementById('tpl-message');
   const box = $id('messageList');
   if(!tpl || !box) return;
 
+  if(message.kind === 'system'){
+    const sysNode = document.createElement('div');
+    sysNode.className = 'message-item system';
+    sysNode.dataset.id = message._id;
+    sysNode.textContent = systemMessageText(message);
+    box.insertBefore(sysNode, beforeNode);
+    if(autoScroll) box.scrollTop = box.scrollHeight;
+    return;
+  }
+
   const node = tpl.content.firstElementChild.cloneNode(true);
   const mid = message._id || message.id || uid('tmp');
 
   node.dataset.id = mid;
   node.classList.add('message-item');
+  if(selectedMessageIds.has(String(mid))) node.classList.add('selected');
 
   const sender = message.from ||
     (message.senderId && (message.senderId._id || message.senderId));
 
+  if(sender) node.dataset.from = String(sender);
+
   if(me && sender && String(sender) === String(me._id)){
     node.classList.add('mine');
   }
@@ -309,6 +701,29 @@ function appendMessage(convId, message, autoScroll=true){
   const textEl = node.querySelector('.message-text');
   if(textEl) textEl.innerHTML = escapeHtml(message.text || '');
 
+  if(message.replyPreview) renderReplyQuote(node, convId, message.replyPreview);
+
+  renderStatus(node, message);
+
+  if(message.forwardedFrom){
+    const fwd = document.createElement('div');
+    fwd.className = 'forwarded-label';
+    fwd.textContent = 'هدایت‌شده از ' + (message.forwardedFrom.senderName || 'کاربر');
+    const bubble = node.querySelector('.message-bubble');
+    bubble.insertBefore(fwd, bubble.firstChild);
+  }
+
+  renderReactions(node, message.reactions);
+
+  if(message.editedAt) renderEditedMarker(node, mid);
+
+  if(message.deletedForAll){
+    renderDeletedPlaceholder(node);
+    box.insertBefore(node, beforeNode);
+    if(autoScroll) box.scrollTop = box.scrollHeight;
+    return;
+  }
+
   // attachments
   let attWrap = node.querySelector('.msg-attachments');
   if(!attWrap){
@@ -325,11 +740,7 @@ function appendMessage(convId, message, autoScroll=true){
         (att.type === 'image') ||
         (att.url && /\.(jpg|jpeg|png|gif|webp)$/i.test(att.url))
       ){
-        const img = document.createElement('img');
-        img.className='msg-image';
-        img.src = att.url;
-        img.alt = att.name || 'image';
-        attWrap.appendChild(img);
+        attWrap.appendChild(renderImageAttachment(att));
       } else {
         const el = document.createElement('div');
         el.className='attachment-file';
@@ -348,6 +759,7 @@ function appendMessage(convId, message, autoScroll=true){
     actions = document.createElement('div');
     actions.className = 'msg-actions';
 
+    const mine = isMine(message);
     const eBtn = document.createElement('button');
     const dBtn = document.createElement('button');
 
@@ -355,158 +767,626 @@ function appendMessage(convId, message, autoScroll=true){
     dBtn.className='delete-btn small-btn';
 
     eBtn.textContent='ویرایش';
-    dBtn.textContent='حذف';
+    dBtn.textContent='حذف برای من';
 
-    actions.appendChild(eBtn);
+    if(mine) actions.appendChild(eBtn);
     actions.appendChild(dBtn);
 
+    const rBtn = document.createElement('button');
+    rBtn.className='reply-btn small-btn';
+    rBtn.textContent='پاسخ';
+    rBtn.addEventListener('click',()=> startReply(node.dataset.id, message));
+    actions.appendChild(rBtn);
+
     eBtn.addEventListener('click',()=> startEditingMessage(mid, message.text || ''));
-    dBtn.addEventListener('click',()=> startDeleteMessage(message));
+    dBtn.addEventListener('click',()=> startDeleteMessage(message, false));
+
+    if(mine){
+      const daBtn = document.createElement('button');
+      daBtn.className='delete-all-btn small-btn';
+      daBtn.textContent='حذف برای همه';
+      daBtn.addEventListener('click',()=> startDeleteMessage(message, true));
+      actions.appendChild(daBtn);
+    }
 
     node.querySelector('.message-bubble').appendChild(actions);
   }
 
-  box.appendChild(node);
+  node.addEventListener('contextmenu', e=>{
+    showContextMenu(e, findCachedMessage(convId, node.dataset.id) || message);
+  });
+
+  box.insertBefore(node, beforeNode);
   if(autoScroll) box.scrollTop = box.scrollHeight;
 
   if(!(me && sender && String(sender) === String(me._id))){
     observeForSeen(node, message);
   }
 }
-/* INCOMING MESSAGES */
-function handleIncomingMessage(convId, msg){
-  if(!convId || !msg) return;
-
-  if(!messagesCache.has(convId)) messagesCache.set(convId, []);
-  messagesCache.get(convId).push(msg);
-
-  if(convId === activeConvId){
-    appendMessage(convId, msg);
-  }
+/* REPLIES */
+let replyingTo = null; // { _id, preview }
+
+function replyPreviewOf(message){
+  const atts = message.attachments || [];
+  return {
+    _id: message._id,
+    from: message.from || (message.senderId && (message.senderId._id || message.senderId)),
+    fromName: message.fromName || (message.senderId && (message.senderId.displayName || message.senderId.username)) || 'کاربر',
+    excerpt: String(message.text || '').slice(0, 120),
+    hasAttachment: atts.length > 0,
+    deleted: !!message.deletedForAll
+  };
+}
 
-  updateConvPreview(convId, msg);
+function replyExcerptText(preview){
+  if(preview.deleted) return 'پیام حذف شده';
+  return preview.excerpt || (preview.hasAttachment ? '📎 پیوست' : '');
 }
 
-/* UPDATE PREVIEW */
-function updateConvPreview(convId, msg){
-  const conv = conversations.find(c => String(c._id) === String(convId));
-  if(!conv) return;
+// quoted block at the top of the bubble; clicking it jumps to the original
+function renderReplyQuote(node, convId, preview){
+  const bubble = node.querySelector('.message-bubble');
+  if(!bubble) return;
+
+  const quote = document.createElement('div');
+  quote.className = 'reply-quote' + (preview.deleted ? ' deleted' : '');
+  quote.dataset.replyId = preview._id;
+  quote.innerHTML = `
+    <div class="reply-from">${escapeHtml(preview.deleted ? '' : (preview.fromName || 'کاربر'))}</div>
+    <div class="reply-excerpt">${escapeHtml(replyExcerptText(preview))}</div>
+  `;
 
-  conv.lastMessageText = msg.text || '(پیوست)';
+  if(!preview.deleted){
+    quote.addEventListener('click', ()=> openConversation(convId, preview._id));
+  }
 
-  renderConversationList(conversations);
+  bubble.insertBefore(quote, bubble.firstChild);
 }
 
-/* TYPING INDICATOR */
-let typingEmitTimer = null;
-let typingIsOn = false;
+function startReply(msgId, message){
+  if(!msgId || String(msgId).startsWith('tmp')) return;
 
-function sendTyping(){
-  if(!socket || !socket.connected || !activeConvId) return;
+  replyingTo = { _id: msgId, preview: Object.assign(replyPreviewOf(message), { _id: msgId }) };
 
-  // فقط وقتی typing هنوز روشن نشده emit کنیم
-  if(!typingIsOn){
-    socket.emit('typing', { convId: activeConvId, typing: true });
-    typingIsOn = true;
+  const bar = $id('replyBar');
+  if(bar){
+    bar.style.display = 'flex';
+    const text = bar.querySelector('.reply-bar-text');
+    if(text){
+      text.textContent = (replyingTo.preview.fromName || 'کاربر') + ': ' + replyExcerptText(replyingTo.preview);
+    }
   }
 
-  // ریست تایمر
-  if(typingEmitTimer) clearTimeout(typingEmitTimer);
-  typingEmitTimer = setTimeout(()=>{
-    if(socket && socket.connected){
-      socket.emit('typing', { convId: activeConvId, typing: false });
-    }
-    typingIsOn = false;
-    typingEmitTimer = null;
-  }, 2500);
+  const input = $id('messageInput');
+  if(input) input.focus();
 }
 
-function renderTypingIndicator(username){
-  const el = $id('typingIndicator');
-  if(!el) return;
-
-  el.style.display = 'block';
-  el.textContent = username + ' در حال نوشتن...';
+function cancelReply(){
+  replyingTo = null;
+  const bar = $id('replyBar');
+  if(bar) bar.style.display = 'none';
 }
 
-function hideTypingIndicator(){
-  const el = $id('typingIndicator');
-  if(!el) return;
+// keep quotes of a message in sync after it is edited or deleted for everyone
+function refreshReplyQuotes(msgId, message){
+  document.querySelectorAll(`.reply-quote[data-reply-id="${msgId}"]`).forEach(q=>{
+    const preview = replyPreviewOf(message);
+    q.classList.toggle('deleted', preview.deleted);
+    const excerpt = q.querySelector('.reply-excerpt');
+    if(excerpt) excerpt.textContent = replyExcerptText(preview);
+    if(preview.deleted){
+      const from = q.querySelector('.reply-from');
+      if(from) from.textContent = '';
+    }
+  });
+}
 
-  el.style.display = 'none';
+/* PINS */
+async function loadPins(convId){
+  try{
+    const res = await apiFetch(`/conversations/${convId}/pins`);
+    pinsCache.set(convId, (res && res.pins) || []);
+    renderPinnedBar(convId, true);
+  }catch(e){
+    console.error('loadPins', e);
+  }
 }
 
-/* SEEN HANDLING */
-let seenObserver = null;
+// banner shows one pin at a time; a click jumps to it and moves on to the previous pin
+function renderPinnedBar(convId, resetIndex=false){
+  if(String(convId) !== String(activeConvId)) return;
 
-function attachSeenObservers(convId){
-  const wrap = $id('messageList');
-  if(!wrap) return;
+  const bar = $id('pinnedBar');
+  if(!bar) return;
 
-  if(seenObserver){
-    seenObserver.disconnect();
-    seenObserver = null;
+  const pins = pinsCache.get(convId) || [];
+  if(!pins.length){
+    bar.style.display = 'none';
+    return;
   }
 
-  seenObserver = new IntersectionObserver(entries=>{
-    const visibleIds = [];
-    entries.forEach(e=>{
-      if(e.isIntersecting && e.target.dataset.id){
-        visibleIds.push(e.target.dataset.id);
-      }
-    });
-
-    if(visibleIds.length){
-      bufferSeen(convId, visibleIds);
-    }
-  }, { threshold: 0.6 });
+  if(resetIndex || pinIndex >= pins.length) pinIndex = pins.length - 1;
+  const pin = pins[pinIndex];
 
-  const nodes = wrap.querySelectorAll('.message-item');
-  nodes.forEach(n => seenObserver.observe(n));
+  bar.style.display = 'flex';
+  bar.querySelector('.pinned-label').textContent =
+    pins.length > 1 ? `پیام سنجاق‌شده ${pinIndex + 1} از ${pins.length}` : 'پیام سنجاق‌شده';
+  bar.querySelector('.pinned-text').textContent =
+    pin.text || ((pin.attachments || []).length ? '📎 پیوست' : '');
 }
 
-function observeForSeen(node){
-  if(!seenObserver) return;
-  try{ seenObserver.observe(node); }catch(e){}
-}
+function onPinnedBarClick(){
+  const pins = pinsCache.get(activeConvId) || [];
+  if(!pins.length) return;
 
-function bufferSeen(convId, ids){
-  if(!seenBuffer.has(convId)) seenBuffer.set(convId, new Set());
-  const set = seenBuffer.get(convId);
+  const pin = pins[pinIndex] || pins[pins.length - 1];
+  openConversation(activeConvId, pin._id);
 
-  ids.forEach(id => set.add(id));
+  pinIndex = (pinIndex - 1 + pins.length) % pins.length;
+  renderPinnedBar(activeConvId);
+}
 
-  if(seenFlushTimer) clearTimeout(seenFlushTimer);
-  seenFlushTimer = setTimeout(flushSeen, SEEN_BATCH_DELAY);
+function isPinned(convId, msgId){
+  return (pinsCache.get(convId) || []).some(p => String(p._id) === String(msgId));
 }
 
-function flushSeen(){
+function togglePin(message){
   if(!socket || !socket.connected) return;
 
-  const copy = new Map(seenBuffer);
-  seenBuffer = new Map(); // خالی‌کردن بلافاصله
-
-  copy.forEach((idSet, convId)=>{
-    if(!idSet || !idSet.size) return;
-
+  const pinned = isPinned(activeConvId, message._id);
+  socket.emit(pinned ? 'message:unpin' : 'message:pin', { convId: activeConvId, messageId: message._id }, ack=>{
+    if(!ack || !ack.ok){
+      console.warn('pin ack failed', ack);
+      if(ack && ack.error === 'not_allowed') alert('فقط مدیران گروه می‌توانند پیام سنجاق کنند');
+      return;
+    }
+    pinsCache.set(activeConvId, ack.pins || []);
+    renderPinnedBar(activeConvId, true);
+  });
+}
+
+/* FORWARD */
+let selectedMessageIds = new Set();
+
+function toggleMessageSelection(msgId){
+  if(!msgId || String(msgId).startsWith('tmp')) return;
+
+  if(selectedMessageIds.has(msgId)) selectedMessageIds.delete(msgId);
+  else selectedMessageIds.add(msgId);
+
+  const node = document.querySelector(`.message-item[data-id="${msgId}"]`);
+  if(node) node.classList.toggle('selected', selectedMessageIds.has(msgId));
+}
+
+function clearMessageSelection(){
+  selectedMessageIds.forEach(id=>{
+    const node = document.querySelector(`.message-item[data-id="${id}"]`);
+    if(node) node.classList.remove('selected');
+  });
+  selectedMessageIds = new Set();
+}
+
+// forwards the current selection when the message is part of it, otherwise just that message
+function openForwardDialog(message){
+  const ids = selectedMessageIds.has(String(message._id))
+    ? Array.from(selectedMessageIds)
+    : [String(message._id)];
+
+  const rows = conversations.map(c=>`
+    <label class="forward-target">
+      <input type="checkbox" value="${escapeHtml(c._id)}">
+      <span>${escapeHtml(conversationDisplay(c).title)}</span>
+    </label>
+  `).join('');
+
+  const overlay = openModal(
+    ids.length > 1 ? `هدایت ${ids.length} پیام` : 'هدایت پیام',
+    `<div class="forward-list">${rows}</div>
+     <button class="send-btn" id="forwardConfirmBtn">هدایت</button>`
+  );
+
+  q('#forwardConfirmBtn', overlay).addEventListener('click', ()=>{
+    const targets = Array.from(overlay.querySelectorAll('.forward-target input:checked')).map(i => i.value);
+    if(!targets.length) return;
+    forwardMessages(ids, targets);
+    closeModal();
+  });
+}
+
+function forwardMessages(messageIds, targetConversationIds){
+  if(!socket || !socket.connected) return;
+
+  socket.emit('message:forward', { messageIds, targetConversationIds }, ack=>{
+    if(!ack || !ack.ok){
+      console.warn('forward ack failed', ack);
+      alert('هدایت پیام ناموفق بود');
+      return;
+    }
+    clearMessageSelection();
+  });
+}
+
+/* REACTIONS */
+// chips under the bubble: emoji + count, own reactions highlighted; click toggles
+function renderReactions(node, reactions){
+  const bubble = node.querySelector('.message-bubble');
+  if(!bubble) return;
+
+  let wrap = node.querySelector('.reactions');
+  if(!wrap){
+    wrap = document.createElement('div');
+    wrap.className = 'reactions';
+    const meta = bubble.querySelector('.message-meta');
+    bubble.insertBefore(wrap, meta);
+  }
+  wrap.innerHTML = '';
+
+  Object.entries(reactions || {}).forEach(([emoji, users])=>{
+    if(!users || !users.length) return;
+
+    const mine = !!me && users.some(u => String(u) === String(me._id));
+    const chip = document.createElement('span');
+    chip.className = 'reaction' + (mine ? ' mine' : '');
+    chip.textContent = `${emoji} ${users.length}`;
+    chip.addEventListener('click', e=>{
+      e.stopPropagation();
+      toggleReaction(activeConvId, node.dataset.id, emoji, !mine);
+    });
+    wrap.appendChild(chip);
+  });
+}
+
+// `convId` is the message's conversation, captured before the emit: the user may switch chats before the ack
+function toggleReaction(convId, msgId, emoji, on){
+  if(!socket || !socket.connected || !msgId || String(msgId).startsWith('tmp')) return;
+
+  socket.emit(on ? 'message:react' : 'message:unreact', { messageId: msgId, emoji }, ack=>{
+    if(!ack || !ack.ok){
+      console.warn('reaction ack failed', ack);
+      return;
+    }
+    applyReactions(convId, msgId, ack.reactions);
+  });
+}
+
+function reactWith(message, emoji){
+  const mine = !!me && ((message.reactions || {})[emoji] || []).some(u => String(u) === String(me._id));
+  toggleReaction(String(message.conversationId || activeConvId), message._id, emoji, !mine);
+}
+
+function findCachedMessage(convId, msgId){
+  return (messagesCache.get(convId) || []).find(x => String(x._id) === String(msgId)) || null;
+}
+
+function applyReactions(convId, msgId, reactions){
+  const m = findCachedMessage(convId, msgId);
+  if(m) m.reactions = reactions || {};
+
+  if(convId !== activeConvId) return;
+
+  const node = document.querySelector(`.message-item[data-id="${msgId}"]`);
+  if(node) renderReactions(node, reactions);
+}
+
+/* IMAGES */
+// lazy thumbnail over the blurred placeholder; click opens the full image
+function renderImageAttachment(att){
+  const img = document.createElement('img');
+  img.className = 'msg-image';
+  img.alt = att.name || 'image';
+  img.loading = 'lazy';
+  img.decoding = 'async';
+
+  if(att.width && att.height){
+    img.width = att.width;
+    img.height = att.height;
+  }
+
+  if(att.placeholder){
+    img.classList.add('loading');
+    img.style.backgroundImage = `url("${att.placeholder}")`;
+    img.addEventListener('load', ()=>{
+      img.classList.remove('loading');
+      img.style.backgroundImage = '';
+    }, { once:true });
+  }
+
+  img.src = att.thumbUrl || att.url;
+  if(att.url) img.addEventListener('click', ()=> openLightbox(att));
+
+  return img;
+}
+
+// shows the preview immediately and swaps in the original once it has loaded
+function openLightbox(att){
+  closeLightbox();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'lightbox';
+  overlay.id = 'lightbox';
+
+  const img = document.createElement('img');
+  img.alt = att.name || 'image';
+  img.src = att.previewUrl || att.url;
+
+  if(att.previewUrl && att.previewUrl !== att.url){
+    const full = new Image();
+    full.onload = ()=>{ img.src = att.url; };
+    full.src = att.url;
+  }
+
+  const link = document.createElement('a');
+  link.className = 'lightbox-original';
+  link.href = att.url;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = 'نمایش فایل اصلی';
+
+  overlay.appendChild(img);
+  overlay.appendChild(link);
+  overlay.addEventListener('click', e=>{
+    if(e.target !== link) closeLightbox();
+  });
+
+  document.body.appendChild(overlay);
+}
+
+function closeLightbox(){
+  const el = $id('lightbox');
+  if(el) el.remove();
+}
+
+document.addEventListener('keydown', e=>{
+  if(e.key === 'Escape') closeLightbox();
+});
+
+/* INCOMING MESSAGES */
+function handleIncomingMessage(convId, msg){
+  if(!convId || !msg) return;
+
+  ackDelivered(convId, [msg]);
+
+  // while an older window is open (search jump) the tail is not loaded yet;
+  // the message arrives with the next newer page instead
+  const state = historyState.get(convId);
+  if(state && state.hasNewer){
+    updateConvPreview(convId, msg);
+    return;
+  }
+
+  if(!messagesCache.has(convId)) messagesCache.set(convId, []);
+  messagesCache.get(convId).push(msg);
+
+  if(convId === activeConvId){
+    appendMessage(convId, msg);
+  }
+
+  updateConvPreview(convId, msg);
+}
+
+/* UPDATE PREVIEW */
+function updateConvPreview(convId, msg){
+  const conv = conversations.find(c => String(c._id) === String(convId));
+  if(!conv) return;
+
+  // counts until the message is actually seen (seen ack / conversation:read resets it)
+  if(!isMine(msg) && msg.kind !== 'system' && (String(convId) !== String(activeConvId) || document.hidden)){
+    conv.unreadCount = (conv.unreadCount || 0) + 1;
+  }
+
+  conv.lastMessageText = msg.kind === 'system'
+    ? systemMessageText(msg)
+    : (msg.text || '(پیوست)');
+
+  renderConversationList(conversations);
+}
+
+/* TYPING INDICATOR */
+let typingEmitTimer = null;
+let typingIsOn = false;
+
+function sendTyping(){
+  if(!socket || !socket.connected || !activeConvId) return;
+
+  // فقط وقتی typing هنوز روشن نشده emit کنیم
+  if(!typingIsOn){
+    socket.emit('typing', { convId: activeConvId, typing: true });
+    typingIsOn = true;
+  }
+
+  // ریست تایمر
+  if(typingEmitTimer) clearTimeout(typingEmitTimer);
+  typingEmitTimer = setTimeout(()=>{
+    if(socket && socket.connected){
+      socket.emit('typing', { convId: activeConvId, typing: false });
+    }
+    typingIsOn = false;
+    typingEmitTimer = null;
+  }, 2500);
+}
+
+function renderTypingIndicator(username){
+  const el = $id('typingIndicator');
+  if(!el) return;
+
+  el.style.display = 'block';
+  el.textContent = username + ' در حال نوشتن...';
+}
+
+function hideTypingIndicator(){
+  const el = $id('typingIndicator');
+  if(!el) return;
+
+  el.style.display = 'none';
+}
+
+/* SEEN HANDLING */
+let seenObserver = null;
+
+function attachSeenObservers(convId){
+  const wrap = $id('messageList');
+  if(!wrap) return;
+
+  if(seenObserver){
+    seenObserver.disconnect();
+    seenObserver = null;
+  }
+
+  seenObserver = new IntersectionObserver(entries=>{
+    const visibleIds = [];
+    entries.forEach(e=>{
+      if(e.isIntersecting && e.target.dataset.id){
+        visibleIds.push(e.target.dataset.id);
+      }
+    });
+
+    if(visibleIds.length){
+      bufferSeen(convId, visibleIds);
+    }
+  }, { threshold: 0.6 });
+
+  const nodes = wrap.querySelectorAll('.message-item');
+  nodes.forEach(n => seenObserver.observe(n));
+}
+
+function observeForSeen(node){
+  if(!seenObserver) return;
+  try{ seenObserver.observe(node); }catch(e){}
+}
+
+function bufferSeen(convId, ids){
+  if(!seenBuffer.has(convId)) seenBuffer.set(convId, new Set());
+  const set = seenBuffer.get(convId);
+
+  ids.forEach(id => set.add(id));
+
+  if(seenFlushTimer) clearTimeout(seenFlushTimer);
+  seenFlushTimer = setTimeout(flushSeen, SEEN_BATCH_DELAY);
+}
+
+function flushSeen(){
+  if(!socket || !socket.connected) return;
+
+  const copy = new Map(seenBuffer);
+  seenBuffer = new Map(); // خالی‌کردن بلافاصله
+
+  copy.forEach((idSet, convId)=>{
+    if(!idSet || !idSet.size) return;
+
     socket.emit('message:seen', {
       convId,
       ids: Array.from(idSet)
+    }, ack=>{
+      if(ack && ack.ok && typeof ack.unreadCount === 'number'){
+        setUnreadCount(convId, ack.unreadCount);
+      }
     });
   });
 }
 
-function markSeenUI(convId, msgId){
+// room-wide seen broadcast: only my own messages carry a status
+function markSeenUI(convId, msgId, userId){
+  const m = findCachedMessage(convId, msgId);
+  if(!m || !isMine(m) || !userId || String(userId) === String(me && me._id)) return;
+
+  m.seenBy = m.seenBy || [];
+  if(!m.seenBy.some(u => String(u) === String(userId))) m.seenBy.push(userId);
+  m.status = 'seen';
+
   if(convId !== activeConvId) return;
 
   const node = document.querySelector(`.message-item[data-id="${msgId}"]`);
-  if(!node) return;
+  if(node) renderStatus(node, m);
+}
+
+/* DELIVERY STATUS */
+const STATUS_ICONS = { pending: '🕓', sent: '✓', delivered: '✓✓', seen: '✓✓' };
+const STATUS_TITLES = { pending: 'در حال ارسال', sent: 'ارسال شد', delivered: 'تحویل داده شد', seen: 'دیده شد' };
+
+function renderStatus(node, message){
+  const el = node.querySelector('.msg-status');
+  if(!el) return;
+
+  if(!isMine(message) || message.deletedForAll){
+    el.textContent = '';
+    return;
+  }
 
-  const status = node.querySelector('.msg-status');
-  if(status) status.textContent = 'دیده شد';
+  const status = message.temp ? 'pending' : (message.status || 'sent');
+  el.textContent = STATUS_ICONS[status] || '';
+  el.title = STATUS_TITLES[status] || '';
+  el.dataset.status = status;
+
+  const conv = conversations.find(c => String(c._id) === String(message.conversationId || activeConvId));
+  if(isGroup(conv) && (message.seenBy || []).length){
+    el.title += ' — ' + readerNames(conv, message.seenBy).join('، ');
+    el.onclick = ()=> openModal('خوانده‌شده توسط',
+      readerNames(conv, message.seenBy).map(n => `<div class="reader">${escapeHtml(n)}</div>`).join(''));
+  } else {
+    el.onclick = null;
+  }
+}
+
+function readerNames(conv, userIds){
+  return (userIds || [])
+    .filter(id => String(id) !== String(me && me._id))
+    .map(id=>{
+      const p = (conv.participants || []).find(x => String(x._id) === String(id));
+      return p ? (p.displayName || p.username) : 'کاربر';
+    });
+}
+
+function applyStatus(convId, msgId, update){
+  const m = findCachedMessage(convId, msgId);
+  if(!m) return;
+
+  Object.assign(m, update);
+
+  if(convId !== activeConvId) return;
+
+  const node = document.querySelector(`.message-item[data-id="${msgId}"]`);
+  if(node) renderStatus(node, m);
+}
+
+// tell the server these incoming messages reached this device
+function ackDelivered(convId, messages){
+  if(!socket || !socket.connected || !me) return;
+
+  const ids = (messages || [])
+    .filter(m => m && m._id && !m.temp && !isMine(m) && m.kind !== 'system')
+    .filter(m => !(m.deliveredTo || []).some(u => String(u) === String(me._id)))
+    .map(m => m._id);
+
+  if(ids.length) socket.emit('message:delivered', { convId, ids });
+}
+
+/* UNREAD */
+function setUnreadCount(convId, count){
+  const conv = conversations.find(c => String(c._id) === String(convId));
+  if(!conv || conv.unreadCount === count) return;
+
+  conv.unreadCount = count;
+  renderConversationList(conversations);
+}
+
+async function markAllRead(){
+  try{
+    await apiFetch('/conversations/read-all', { method:'POST' });
+    conversations.forEach(c => { c.unreadCount = 0; });
+    renderConversationList(conversations);
+  }catch(e){
+    console.error('markAllRead', e);
+  }
 }
 
 /* SEND MESSAGE (TEXT) */
+// send failures that drop the pending bubble; `blocked` is shown by the composer itself
+const SEND_ERRORS = {
+  blocked: 'امکان ارسال پیام در این گفتگو وجود ندارد',
+  rate_limited: 'پیام‌ها خیلی سریع ارسال می‌شوند؛ کمی صبر کنید',
+  invalid_payload: 'پیام ارسال نشد؛ متن بیش از حد طولانی است'
+};
+
 async function sendMessage(){
   const input = $id('messageInput');
   if(!input || !input.value.trim()) return;
@@ -516,11 +1396,15 @@ async function sendMessage(){
 
   const tempId = uid('tmp');
 
+  const reply = replyingTo;
+  cancelReply();
+
   const tempMsg = {
     _id: tempId,
     text,
     createdAt: nowIso(),
     senderId: me && me._id,
+    replyPreview: reply ? reply.preview : undefined,
     temp: true
   };
 
@@ -533,7 +1417,8 @@ async function sendMessage(){
   const payload = {
     convId: activeConvId,
     text,
-    tempId   // ← درست‌شده (قبلاً clientTempId بود)
+    tempId,   // ← درست‌شده (قبلاً clientTempId بود)
+    replyTo: reply ? reply._id : undefined
   };
 
   if(!socket || !socket.connected){
@@ -544,6 +1429,14 @@ async function sendMessage(){
   socket.emit('private:message', payload, ack=>{
     if(!ack || !ack.ok){
       console.warn('send ack failed', ack);
+      if(ack && SEND_ERRORS[ack.error]){
+        const arr = messagesCache.get(payload.convId) || [];
+        messagesCache.set(payload.convId, arr.filter(m => m._id !== tempId));
+        const node = document.querySelector(`.message-item[data-id="${tempId}"]`);
+        if(node) node.remove();
+        if(ack.error === 'blocked') markConversationBlocked(payload.convId);
+        else alert(SEND_ERRORS[ack.error]);
+      }
       return;
     }
 
@@ -558,17 +1451,29 @@ async function sendMessage(){
       const t = node.querySelector('.msg-time');
       if(t) t.textContent = formatTime(ack.message.createdAt);
 
-      const st = node.querySelector('.msg-status');
-      if(st) st.textContent = '';
+      renderStatus(node, ack.message);
     }
   });
 }
 
 /* SEND ATTACHMENT */
+const UPLOAD_ERRORS = {
+  no_file: 'فایلی انتخاب نشده است',
+  file_too_large: 'حجم فایل بیش از حد مجاز است',
+  type_not_allowed: 'این نوع فایل مجاز نیست',
+  type_mismatch: 'نوع فایل با محتوای آن هم‌خوانی ندارد',
+  dangerous_file: 'این فایل حاوی محتوای خطرناک است و پذیرفته نشد',
+  invalid_image: 'تصویر معتبر نیست',
+  quota_daily_exceeded: 'سهمیه آپلود امروز شما تمام شده است',
+  quota_total_exceeded: 'فضای ذخیره‌سازی شما پر شده است'
+};
+
 async function sendAttachment(file){
   if(!file) return;
 
   const tempId = uid('tmpfile');
+  const reply = replyingTo;
+  cancelReply();
 
   const tempMsg = {
     _id: tempId,
@@ -580,6 +1485,7 @@ async function sendAttachment(file){
     }],
     createdAt: nowIso(),
     senderId: me && me._id,
+    replyPreview: reply ? reply.preview : undefined,
     temp: true
   };
 
@@ -594,12 +1500,13 @@ async function sendAttachment(file){
     form.append('file', file);
 
     const up = await apiUpload(UPLOAD_PATH, form);
-    const att = up.attachment;
 
+    // the server attaches its own record of the upload
     const payload = {
       convId: activeConvId,
-      attachments: [att],
-      tempId
+      attachments: [up.uploadId],
+      tempId,
+      replyTo: reply ? reply._id : undefined
     };
 
     if(!socket || !socket.connected){
@@ -621,16 +1528,30 @@ async function sendAttachment(file){
         const t = node.querySelector('.msg-time');
         if(t) t.textContent = formatTime(ack.message.createdAt);
 
-        const st = node.querySelector('.msg-status');
-        if(st) st.textContent = '';
+        renderStatus(node, ack.message);
       }
     });
 
   }catch(e){
     console.error('sendAttachment', e);
+
+    // the upload was refused: drop the placeholder bubble and say why
+    const arr = messagesCache.get(activeConvId) || [];
+    messagesCache.set(activeConvId, arr.filter(m => m._id !== tempId));
+    const node = document.querySelector(`.message-item[data-id="${tempId}"]`);
+    if(node) node.remove();
+
+    alert(UPLOAD_ERRORS[e && e.message] || 'ارسال فایل ناموفق بود');
   }
 }
 /* EDIT MESSAGE */
+const EDIT_ERRORS = {
+  not_allowed: 'اجازه ویرایش این پیام را ندارید',
+  edit_window_expired: 'مهلت ویرایش این پیام تمام شده است',
+  rate_limited: 'تعداد ویرایش‌ها زیاد است؛ کمی صبر کنید',
+  invalid_payload: 'متن پیام بیش از حد طولانی است'
+};
+
 let editingMsgId = null;
 
 function startEditingMessage(id, oldText){
@@ -663,6 +1584,7 @@ async function finishEditingMessage(){
     }, ack=>{
       if(!ack || !ack.ok){
         console.warn('edit ack failed', ack);
+        if(ack && EDIT_ERRORS[ack.error]) alert(EDIT_ERRORS[ack.error]);
         return;
       }
 
@@ -703,34 +1625,202 @@ function applyMessageEdit(convId, msg){
 
   if(convId !== activeConvId) return;
 
+  refreshReplyQuotes(msg._id, msg);
+
   const node = document.querySelector(`.message-item[data-id="${msg._id}"]`);
   if(!node) return;
 
   const textEl = node.querySelector('.message-text');
   if(textEl) textEl.innerHTML = escapeHtml(msg.text || '');
 
-  const editedEl = node.querySelector('.message-edited');
-  if(editedEl){
-    editedEl.style.display = 'inline';
-    editedEl.textContent = '(ویرایش شده)';
-  }
+  renderEditedMarker(node, msg._id);
+}
+
+// the "(edited)" marker opens the revision list
+function renderEditedMarker(node, msgId){
+  const editedEl = node.querySelector('.message-edited');
+  if(!editedEl) return;
+
+  editedEl.style.display = 'inline';
+  editedEl.textContent = '(ویرایش شده)';
+  editedEl.title = 'نمایش تاریخچه ویرایش';
+  editedEl.onclick = ()=> showRevisionHistory(node.dataset.id || msgId);
+}
+
+async function showRevisionHistory(msgId){
+  try{
+    const res = await apiFetch(`/messages/${msgId}/history`);
+    const versions = (res.revisions || []).concat([res.current]);
+
+    const rows = versions.map((v, i)=>`
+      <div class="revision${i === versions.length - 1 ? ' current' : ''}">
+        <div class="revision-time muted small">
+          ${escapeHtml(v.createdAt ? new Date(v.createdAt).toLocaleString() : '')}
+          ${i === versions.length - 1 ? ' — نسخه فعلی' : ''}
+        </div>
+        <div class="revision-text">${escapeHtml(v.text || '')}</div>
+      </div>
+    `).join('');
+
+    openModal('تاریخچه ویرایش', rows);
+  }catch(e){
+    console.error('showRevisionHistory', e);
+  }
+}
+
+/* REPORTS & NOTICES */
+const REPORT_REASONS = {
+  spam: 'هرزنامه / تبلیغ',
+  harassment: 'آزار و توهین',
+  hate: 'نفرت‌پراکنی',
+  violence: 'خشونت یا تهدید',
+  sexual: 'محتوای جنسی',
+  illegal: 'محتوای غیرقانونی',
+  other: 'سایر'
+};
+const REPORT_RESOLUTIONS = {
+  dismissed: 'بررسی شد و تخلفی دیده نشد',
+  message_deleted: 'پیام گزارش‌شده حذف شد',
+  warned: 'به کاربر هشدار داده شد',
+  banned: 'حساب کاربر مسدود شد'
+};
+const REPORT_ERRORS = {
+  already_reported: 'این مورد را قبلاً گزارش کرده‌اید',
+  cannot_report_self: 'نمی‌توانید خودتان را گزارش کنید',
+  not_found: 'پیام یا کاربر پیدا نشد'
+};
+
+// target: { messageId } or { userId, name }
+function openReportDialog(target){
+  const title = target.messageId ? 'گزارش پیام' : `گزارش ${target.name || 'کاربر'}`;
+  const options = Object.entries(REPORT_REASONS)
+    .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+
+  const overlay = openModal(title, `
+    <select id="reportReason" class="search-input">${options}</select>
+    <textarea id="reportNote" class="search-input" rows="3" maxlength="1000" placeholder="توضیحات (اختیاری)"></textarea>
+    <div id="reportStatus" class="small muted"></div>
+    <button class="send-btn" id="reportSubmitBtn">ارسال گزارش</button>
+  `);
+
+  q('#reportSubmitBtn', overlay).addEventListener('click', async ()=>{
+    try{
+      await apiFetch('/reports', {
+        method:'POST',
+        body: JSON.stringify({
+          messageId: target.messageId,
+          userId: target.messageId ? undefined : target.userId,
+          reason: q('#reportReason', overlay).value,
+          note: q('#reportNote', overlay).value
+        })
+      });
+      q('.modal-body', overlay).innerHTML = '<div>گزارش شما ثبت شد. پس از بررسی نتیجه را به شما اطلاع می‌دهیم.</div>';
+    }catch(err){
+      q('#reportStatus', overlay).textContent = REPORT_ERRORS[err.message] || 'ثبت گزارش ناموفق بود';
+    }
+  });
+}
+
+function noticeText(notice){
+  const data = notice.data || {};
+  if(notice.kind === 'report_resolved'){
+    return 'گزارش شما بررسی شد: ' + (REPORT_RESOLUTIONS[data.resolution] || 'بسته شد');
+  }
+  if(notice.kind === 'warning'){
+    return 'هشدار مدیریت: پیام شما خلاف قوانین تشخیص داده شد'
+      + (REPORT_REASONS[data.reason] ? ` (${REPORT_REASONS[data.reason]})` : '')
+      + (data.note ? ` — ${data.note}` : '');
+  }
+  return 'اعلان جدید';
+}
+
+let noticeQueue = [];
+
+// notices wait until no other dialog is open, then show one at a time (closeModal shows the next)
+function showNotice(notice){
+  noticeQueue.push(notice);
+  if(!$id('modalOverlay')) showNextNotice();
+}
+
+function showNextNotice(){
+  const notice = noticeQueue.shift();
+  if(!notice) return;
+
+  apiFetch(`/notices/${notice._id}/read`, { method:'POST' }).catch(()=>{});
+
+  const overlay = openModal('اعلان', `
+    <div>${escapeHtml(noticeText(notice))}</div>
+    <button class="send-btn" id="noticeOkBtn">متوجه شدم</button>
+  `);
+  q('#noticeOkBtn', overlay).addEventListener('click', closeModal);
+}
+
+async function loadNotices(){
+  try{
+    const res = await apiFetch('/notices');
+    (res.notices || []).forEach(showNotice);
+  }catch(e){
+    console.error('loadNotices', e);
+  }
+}
+
+/* MODAL */
+function openModal(title, html){
+  const prev = $id('modalOverlay');
+  if(prev) prev.remove();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.id = 'modalOverlay';
+  overlay.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <div class="modal-title">${escapeHtml(title)}</div>
+        <button class="icon-btn modal-close">✕</button>
+      </div>
+      <div class="modal-body">${html}</div>
+    </div>
+  `;
+
+  overlay.addEventListener('click', e=>{
+    if(e.target === overlay || e.target.closest('.modal-close')) closeModal();
+  });
+
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+function closeModal(){
+  const el = $id('modalOverlay');
+  if(el) el.remove();
+  if(el && noticeQueue.length) setTimeout(showNextNotice, 0);
 }
 
 /* DELETE MESSAGE */
-function startDeleteMessage(msg){
-  if(!confirm('حذف پیام؟')) return;
-
-  const payload = {
-    messageId: msg._id,
-    forAll: true,
-    forEveryone: true
+const DELETE_ERRORS = {
+  not_allowed: 'اجازه حذف این پیام را ندارید',
+  delete_window_expired: 'مهلت حذف برای همه تمام شده است',
+  not_found: 'پیام پیدا نشد',
+  rate_limited: 'تعداد درخواست‌ها زیاد است؛ کمی صبر کنید'
+};
+
+// forAll: delete for everyone (own messages only); otherwise hide it just for me
+function startDeleteMessage(msg, forAll=false){
+  if(!confirm(forAll ? 'حذف پیام برای همه؟' : 'حذف پیام فقط برای شما؟')) return;
+
+  const convId = activeConvId;
+  const onResult = (ok, error)=>{
+    if(!ok){
+      console.error('delete failed', error);
+      alert(DELETE_ERRORS[error] || 'حذف پیام ناموفق بود');
+      return;
+    }
+    applyMessageDeletion(convId, msg._id, forAll);
   };
 
   if(socket && socket.connected){
-    socket.emit('message:delete', payload, ack=>{
-      if(!ack || !ack.ok){
-        console.error('delete ack failed', ack);
-      }
+    socket.emit('message:delete', { messageId: msg._id, forAll }, ack=>{
+      onResult(ack && ack.ok, ack && ack.error);
     });
 
   } else {
@@ -740,31 +1830,51 @@ function startDeleteMessage(msg){
         'Content-Type': 'application/json',
         'Authorization': token ? 'Bearer ' + token : ''
       },
-      body: JSON.stringify({ forEveryone: true })
+      body: JSON.stringify({ forEveryone: forAll })
     })
     .then(r=>r.json())
-    .then(data=>{
-      if(!data.ok){
-        console.error('delete api failed', data);
-        return;
-      }
-      applyMessageDeletion(activeConvId, msg._id);
-    })
+    .then(data=> onResult(data && data.ok, data && data.error))
     .catch(err=>console.error('delete api err', err));
   }
 }
 
-function applyMessageDeletion(convId, id){
+function renderDeletedPlaceholder(node){
+  node.classList.add('deleted');
+
+  const textEl = node.querySelector('.message-text');
+  if(textEl) textEl.textContent = 'این پیام حذف شد';
+
+  const attWrap = node.querySelector('.msg-attachments');
+  if(attWrap) attWrap.innerHTML = '';
+
+  const actions = node.querySelector('.msg-actions');
+  if(actions) actions.remove();
+
+  const reactions = node.querySelector('.reactions');
+  if(reactions) reactions.remove();
+}
+
+// forAll keeps a "deleted" placeholder in place; "for me" drops the message entirely
+function applyMessageDeletion(convId, id, forAll=false){
   if(!messagesCache.has(convId)) return;
 
   const arr = messagesCache.get(convId);
-  const filtered = arr.filter(m => String(m._id) !== String(id));
-  messagesCache.set(convId, filtered);
+  if(forAll){
+    const m = arr.find(x => String(x._id) === String(id));
+    if(m){ m.deletedForAll = true; m.text = ''; m.attachments = []; }
+  } else {
+    messagesCache.set(convId, arr.filter(m => String(m._id) !== String(id)));
+  }
 
   if(convId !== activeConvId) return;
 
+  if(forAll) refreshReplyQuotes(id, { _id: id, deletedForAll: true });
+
   const node = document.querySelector(`.message-item[data-id="${id}"]`);
-  if(node) node.remove();
+  if(!node) return;
+
+  if(forAll) renderDeletedPlaceholder(node);
+  else node.remove();
 }
 
 /* SOCKET LISTENERS */
@@ -778,6 +1888,12 @@ function setupSocketListeners(){
   socket.off && socket.off('typing');
   socket.off && socket.off('user:online');
   socket.off && socket.off('user:offline');
+  socket.off && socket.off('message:reactions');
+  socket.off && socket.off('conversation:pins');
+  socket.off && socket.off('conversation:read');
+  socket.off && socket.off('message:status');
+  socket.off && socket.off('conversation:updated');
+  socket.off && socket.off('conversation:removed');
 
   socket.on('private:message', payload=>{
     const convId =
@@ -812,14 +1928,38 @@ function setupSocketListeners(){
       (payload.message && payload.message._id) ||
       payload.id;
 
-    applyMessageDeletion(convId, id);
+    applyMessageDeletion(convId, id, !!payload.deletedForAll);
+  });
+
+  socket.on('message:status', payload=>{
+    applyStatus(payload.conversationId || payload.convId, payload.messageId, {
+      status: payload.status,
+      deliveredTo: payload.deliveredTo || [],
+      seenBy: payload.seenBy || []
+    });
+  });
+
+  // read on another of my devices
+  socket.on('conversation:read', payload=>{
+    setUnreadCount(payload.conversationId || payload.convId, payload.unreadCount || 0);
+  });
+
+  socket.on('conversation:pins', payload=>{
+    const convId = payload.conversationId || payload.convId;
+    pinsCache.set(convId, payload.pins || []);
+    renderPinnedBar(convId, true);
+  });
+
+  socket.on('message:reactions', payload=>{
+    const convId = payload.conversationId || payload.convId || activeConvId;
+    applyReactions(convId, payload.messageId, payload.reactions);
   });
 
   socket.on('message:seen', payload=>{
     const convId = payload.conversationId || payload.convId || activeConvId;
     const ids = payload.ids || payload.messageIds || [];
 
-    ids.forEach(id => markSeenUI(convId, id));
+    ids.forEach(id => markSeenUI(convId, id, payload.userId));
   });
 
   socket.on('typing', payload=>{
@@ -838,6 +1978,26 @@ function setupSocketListeners(){
     }
   });
 
+  socket.on('conversation:updated', payload=>{
+    upsertConversation(payload.conversation || payload);
+  });
+
+  socket.on('conversation:removed', payload=>{
+    removeConversation(payload.conversationId || payload.convId);
+  });
+
+  socket.on('user:updated', payload=>{
+    if(payload && payload.user) applyUserUpdate(payload.user);
+  });
+
+  socket.on('notice', payload=>{
+    if(payload && payload.notice) showNotice(payload.notice);
+  });
+
+  socket.on('user:blocked', payload=>{
+    applyBlockChange(payload.userId, !!payload.blocked);
+  });
+
   socket.on('user:online', payload=>{
     setUserPresenceUI(payload.userId || payload.user, true);
   });
@@ -876,6 +2036,16 @@ function scrollToBottom(){
 }
 
 /* PROFILE UI */
+const PROFILE_ERRORS = {
+  invalid_display_name: 'نام نمایشی نمی‌تواند خالی یا بیش از ۶۴ نویسه باشد',
+  bio_too_long: 'متن «درباره من» حداکثر ۲۸۰ نویسه است',
+  invalid_username: 'نام کاربری باید ۳ تا ۳۲ نویسه از حروف انگلیسی، عدد، _ یا . باشد',
+  username_exists: 'این نام کاربری قبلاً گرفته شده است',
+  nothing_to_update: 'تغییری برای ذخیره وجود ندارد',
+  not_an_image: 'فقط فایل تصویری پذیرفته می‌شود',
+  invalid_image: 'تصویر قابل پردازش نیست'
+};
+
 function applyProfileUI(user){
   const name = $id('myName');
   if(name) name.textContent = user.displayName || user.username;
@@ -884,6 +2054,377 @@ function applyProfileUI(user){
   if(avatar && user.avatarUrl){
     avatar.src = user.avatarUrl;
   }
+
+  const big = $id('profileAvatar');
+  if(big) big.src = user.avatarUrl || '/default.png';
+
+  const fields = { profileDisplayName: user.displayName, profileUsername: user.username, profileBio: user.bio };
+  Object.entries(fields).forEach(([id, value])=>{
+    const el = $id(id);
+    if(el && document.activeElement !== el) el.value = value || '';
+  });
+}
+
+function setProfileStatus(text){
+  const el = $id('profileStatus');
+  if(el) el.textContent = text || '';
+}
+
+async function saveProfile(e){
+  e.preventDefault();
+  const body = {
+    displayName: $id('profileDisplayName').value.trim(),
+    username: $id('profileUsername').value.trim(),
+    bio: $id('profileBio').value.trim()
+  };
+
+  try{
+    const res = await apiFetch('/me', { method:'PATCH', body: JSON.stringify(body) });
+    if(res && res.user) applyUserUpdate(res.user);
+    setProfileStatus('ذخیره شد');
+  }catch(err){
+    setProfileStatus(PROFILE_ERRORS[err.message] || 'ذخیره پروفایل ناموفق بود');
+  }
+}
+
+async function uploadAvatar(file){
+  const wrap = q('.profile-avatar');
+  if(wrap) wrap.classList.add('uploading');
+  setProfileStatus('در حال بارگذاری تصویر...');
+
+  try{
+    const fd = new FormData();
+    fd.append('file', file);
+    const res = await apiUpload(API_BASE + '/me/avatar', fd);
+    if(res && res.user) applyUserUpdate(res.user);
+    setProfileStatus('تصویر پروفایل به‌روز شد');
+  }catch(err){
+    setProfileStatus(PROFILE_ERRORS[err.message] || UPLOAD_ERRORS[err.message] || 'بارگذاری تصویر ناموفق بود');
+  }finally{
+    if(wrap) wrap.classList.remove('uploading');
+  }
+}
+
+// a user's profile changed: patch every place their name/avatar is shown
+function applyUserUpdate(user){
+  const id = String(user._id);
+
+  if(me && String(me._id) === id){
+    me = Object.assign({}, me, user);
+    applyProfileUI(me);
+  }
+
+  conversations.forEach(c=>{
+    (c.participants || []).forEach((p, i)=>{
+      if(p && String(p._id) === id) c.participants[i] = Object.assign({}, p, user);
+    });
+  });
+  renderConversationList(conversations);
+  renderChatHeader(activeConvId);
+
+  const name = user.displayName || user.username;
+  messagesCache.forEach(list=>{
+    list.forEach(m=>{
+      if(String(m.from) !== id) return;
+      m.fromName = name;
+      m.fromAvatar = user.avatarUrl;
+    });
+  });
+
+  document.querySelectorAll(`#messageList .message-item[data-from="${id}"] .fromName`)
+    .forEach(el=>{ el.textContent = name; });
+}
+
+function openDrawer(tab='profile'){
+  const drawer = $id('drawer');
+  if(!drawer) return;
+
+  drawer.querySelectorAll('.tab').forEach(t=>{
+    t.classList.toggle('active', t.dataset.tab === tab);
+  });
+  drawer.querySelectorAll('.drawer-content').forEach(p=>{
+    p.style.display = p.dataset.panel === tab ? '' : 'none';
+  });
+  drawer.classList.add('show');
+
+  if(tab === 'settings'){
+    loadSessions();
+    renderTwoFactorState();
+    const adminLink = $id('adminLink');
+    if(adminLink) adminLink.style.display = me && (me.role === 'admin' || me.role === 'moderator') ? '' : 'none';
+  }
+}
+
+/* ACCOUNT */
+const PASSWORD_ERRORS = {
+  wrong_password: 'رمز فعلی اشتباه است',
+  password_too_short: 'رمز جدید کوتاه است',
+  password_too_long: 'رمز جدید بیش از حد طولانی است',
+  password_needs_letter: 'رمز جدید باید دست‌کم یک حرف داشته باشد',
+  password_needs_digit: 'رمز جدید باید دست‌کم یک عدد داشته باشد',
+  password_needs_upper: 'رمز جدید باید دست‌کم یک حرف بزرگ داشته باشد',
+  password_needs_lower: 'رمز جدید باید دست‌کم یک حرف کوچک داشته باشد',
+  password_needs_symbol: 'رمز جدید باید دست‌کم یک نماد داشته باشد',
+  password_same_as_username: 'رمز نباید با نام کاربری یکسان باشد',
+  password_unchanged: 'رمز جدید با رمز فعلی یکی است'
+};
+
+async function changePassword(e){
+  e.preventDefault();
+  const status = $id('passwordStatus');
+  const currentPassword = $id('currentPassword').value;
+  const newPassword = $id('newPassword').value;
+
+  if(newPassword !== $id('confirmPassword').value){
+    status.textContent = 'تکرار رمز جدید مطابقت ندارد';
+    return;
+  }
+
+  try{
+    const res = await apiFetch('/me/password', {
+      method:'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+    e.target.reset();
+    status.textContent = res.revokedSessions
+      ? `رمز تغییر کرد و ${res.revokedSessions} دستگاه دیگر خارج شد`
+      : 'رمز تغییر کرد';
+    loadSessions();
+  }catch(err){
+    let text = PASSWORD_ERRORS[err.message] || 'تغییر رمز ناموفق بود';
+    if(err.message === 'password_too_short' && err.body && err.body.policy){
+      text = `رمز جدید باید حداقل ${err.body.policy.minLength} نویسه باشد`;
+    }
+    status.textContent = text;
+  }
+}
+
+function openDeleteAccountDialog(){
+  const overlay = openModal('حذف حساب کاربری', `
+    <div class="small">پیام‌های شما بی‌نام می‌شوند، از همه‌ی گفتگوها خارج می‌شوید و فایل‌هایتان پاک می‌شود. این کار برگشت‌پذیر نیست.</div>
+    <input id="deletePassword" type="password" class="search-input" placeholder="رمز عبور" autocomplete="current-password">
+    <div id="deleteStatus" class="small muted"></div>
+    <button class="send-btn" id="deleteAccountConfirmBtn">حذف همیشگی</button>
+  `);
+
+  q('#deleteAccountConfirmBtn', overlay).addEventListener('click', async ()=>{
+    const password = q('#deletePassword', overlay).value;
+    if(!password) return;
+    try{
+      await apiFetch('/me', { method:'DELETE', body: JSON.stringify({ password }) });
+      signedOut();
+    }catch(err){
+      q('#deleteStatus', overlay).textContent = PASSWORD_ERRORS[err.message] || 'حذف حساب ناموفق بود';
+    }
+  });
+}
+
+/* TWO-FACTOR */
+const TWO_FACTOR_ERRORS = {
+  wrong_password: 'رمز عبور اشتباه است',
+  invalid_code: 'کد نادرست است',
+  already_enabled: 'ورود دومرحله‌ای از قبل فعال است',
+  no_pending_setup: 'ابتدا فعال‌سازی را از نو شروع کنید',
+  not_enabled: 'ورود دومرحله‌ای فعال نیست'
+};
+
+function renderTwoFactorState(){
+  const on = !!(me && me.twoFactorEnabled);
+  const status = $id('twoFactorStatus');
+  if(status) status.textContent = on ? 'فعال است؛ هنگام ورود کد برنامه‌ی احراز هویت خواسته می‌شود.' : 'غیرفعال';
+
+  const show = (id, visible)=>{ const el = $id(id); if(el) el.style.display = visible ? '' : 'none'; };
+  show('enable2faBtn', !on);
+  show('recoveryCodesBtn', on);
+  show('disable2faBtn', on);
+}
+
+function showRecoveryCodes(codes){
+  openModal('کدهای بازیابی', `
+    <div class="small">این کدها فقط همین یک بار نمایش داده می‌شوند. هر کد یک بار به جای کد برنامه قابل استفاده است؛ آن‌ها را جای امنی نگه دارید.</div>
+    <div class="recovery-codes">${codes.map(c => `<div>${escapeHtml(c)}</div>`).join('')}</div>
+  `);
+}
+
+function openEnableTwoFactorDialog(){
+  const overlay = openModal('فعال‌سازی ورود دومرحله‌ای', `
+    <input id="tfPassword" type="password" class="search-input" placeholder="رمز عبور" autocomplete="current-password">
+    <button class="send-btn" id="tfContinueBtn">ادامه</button>
+    <div id="tfStatus" class="small muted"></div>
+  `);
+  const status = q('#tfStatus', overlay);
+
+  q('#tfContinueBtn', overlay).addEventListener('click', async ()=>{
+    try{
+      const res = await apiFetch('/me/2fa/setup', {
+        method:'POST',
+        body: JSON.stringify({ password: q('#tfPassword', overlay).value })
+      });
+      const body = q('.modal-body', overlay);
+      body.innerHTML = `
+        <div class="small">این کلید را در برنامه‌ی احراز هویت (مثل Google Authenticator) وارد کنید یا پیوند زیر را روی گوشی باز کنید، سپس کد ۶ رقمی را بنویسید.</div>
+        <div class="totp-secret">${escapeHtml(res.secret.replace(/(.{4})/g, '$1 ').trim())}</div>
+        <a class="small" dir="ltr" href="${escapeHtml(res.otpauthUri)}">${escapeHtml(res.otpauthUri)}</a>
+        <input id="tfCode" class="search-input" inputmode="numeric" autocomplete="one-time-code" placeholder="123456">
+        <button class="send-btn" id="tfConfirmBtn">تأیید</button>
+        <div id="tfStatus" class="small muted"></div>
+      `;
+      q('#tfConfirmBtn', overlay).addEventListener('click', async ()=>{
+        try{
+          const r = await apiFetch('/me/2fa/confirm', {
+            method:'POST',
+            body: JSON.stringify({ code: q('#tfCode', overlay).value.trim() })
+          });
+          me.twoFactorEnabled = true;
+          renderTwoFactorState();
+          showRecoveryCodes(r.recoveryCodes || []);
+        }catch(err){
+          q('#tfStatus', overlay).textContent = TWO_FACTOR_ERRORS[err.message] || 'تأیید ناموفق بود';
+        }
+      });
+    }catch(err){
+      status.textContent = TWO_FACTOR_ERRORS[err.message] || 'فعال‌سازی ناموفق بود';
+    }
+  });
+}
+
+function openDisableTwoFactorDialog(){
+  const overlay = openModal('غیرفعال‌سازی ورود دومرحله‌ای', `
+    <input id="tfPassword" type="password" class="search-input" placeholder="رمز عبور" autocomplete="current-password">
+    <input id="tfCode" class="search-input" autocomplete="one-time-code" placeholder="کد برنامه یا کد بازیابی">
+    <button class="send-btn" id="tfDisableBtn">غیرفعال‌سازی</button>
+    <div id="tfStatus" class="small muted"></div>
+  `);
+
+  q('#tfDisableBtn', overlay).addEventListener('click', async ()=>{
+    try{
+      await apiFetch('/me/2fa', {
+        method:'DELETE',
+        body: JSON.stringify({ password: q('#tfPassword', overlay).value, code: q('#tfCode', overlay).value.trim() })
+      });
+      me.twoFactorEnabled = false;
+      renderTwoFactorState();
+      closeModal();
+    }catch(err){
+      q('#tfStatus', overlay).textContent = TWO_FACTOR_ERRORS[err.message] || 'غیرفعال‌سازی ناموفق بود';
+    }
+  });
+}
+
+function openRecoveryCodesDialog(){
+  const overlay = openModal('کدهای بازیابی جدید', `
+    <div class="small">کدهای قبلی باطل می‌شوند.</div>
+    <input id="tfCode" class="search-input" inputmode="numeric" autocomplete="one-time-code" placeholder="کد برنامه">
+    <button class="send-btn" id="tfRegenBtn">ساخت کدها</button>
+    <div id="tfStatus" class="small muted"></div>
+  `);
+
+  q('#tfRegenBtn', overlay).addEventListener('click', async ()=>{
+    try{
+      const r = await apiFetch('/me/2fa/recovery-codes', {
+        method:'POST',
+        body: JSON.stringify({ code: q('#tfCode', overlay).value.trim() })
+      });
+      showRecoveryCodes(r.recoveryCodes || []);
+    }catch(err){
+      q('#tfStatus', overlay).textContent = TWO_FACTOR_ERRORS[err.message] || 'ساخت کدها ناموفق بود';
+    }
+  });
+}
+
+/* SESSIONS */
+async function loadSessions(){
+  const list = $id('sessionList');
+  if(!list) return;
+
+  try{
+    const res = await apiFetch('/sessions');
+    list.innerHTML = '';
+    (res.sessions || []).forEach(sess=>{
+      const row = document.createElement('div');
+      row.className = 'session-row';
+      row.innerHTML = `
+        <div class="conv-meta">
+          <div class="name">${escapeHtml(sess.deviceName || 'دستگاه ناشناس')}${sess.current ? ' <span class="small muted">(همین دستگاه)</span>' : ''}</div>
+          <div class="small muted" dir="ltr">${escapeHtml(sess.ip || '')}</div>
+          <div class="small muted">آخرین استفاده: ${sess.lastUsedAt ? new Date(sess.lastUsedAt).toLocaleString() : 'نامشخص'}</div>
+        </div>
+      `;
+      if(!sess.current){
+        const btn = document.createElement('button');
+        btn.className = 'icon-btn small';
+        btn.textContent = 'خروج';
+        btn.addEventListener('click', ()=> revokeSession(sess._id));
+        row.appendChild(btn);
+      }
+      list.appendChild(row);
+    });
+  }catch(e){
+    console.error('loadSessions', e);
+  }
+}
+
+async function revokeSession(sessionId){
+  try{
+    await apiFetch(sessionId ? `/sessions/${sessionId}` : '/sessions', { method:'DELETE' });
+  }catch(e){
+    console.error('revokeSession', e);
+    alert('خروج دستگاه ناموفق بود');
+  }
+  loadSessions();
+}
+
+function setupProfileDrawer(){
+  const drawer = $id('drawer');
+  if(!drawer) return;
+
+  drawer.querySelectorAll('.tab').forEach(t=>{
+    t.addEventListener('click', ()=> openDrawer(t.dataset.tab));
+  });
+
+  const settingsBtn = $id('openSettingsBtn');
+  if(settingsBtn) settingsBtn.addEventListener('click', ()=> openDrawer('settings'));
+
+  const myAvatar = $id('myAvatar');
+  if(myAvatar) myAvatar.addEventListener('click', ()=> openDrawer('profile'));
+
+  const closeBtn = $id('closeDrawerBtn');
+  if(closeBtn) closeBtn.addEventListener('click', ()=> drawer.classList.remove('show'));
+
+  const logoutBtn = $id('logoutBtn');
+  if(logoutBtn) logoutBtn.addEventListener('click', logout);
+
+  [['enable2faBtn', openEnableTwoFactorDialog], ['disable2faBtn', openDisableTwoFactorDialog], ['recoveryCodesBtn', openRecoveryCodesDialog]]
+    .forEach(([id, handler])=>{
+      const el = $id(id);
+      if(el) el.addEventListener('click', handler);
+    });
+
+  const passwordForm = $id('passwordForm');
+  if(passwordForm) passwordForm.addEventListener('submit', changePassword);
+
+  const deleteBtn = $id('deleteAccountBtn');
+  if(deleteBtn) deleteBtn.addEventListener('click', openDeleteAccountDialog);
+
+  const revokeOthersBtn = $id('revokeOtherSessionsBtn');
+  if(revokeOthersBtn){
+    revokeOthersBtn.addEventListener('click', ()=>{
+      if(confirm('از همه‌ی دستگاه‌های دیگر خارج شوید؟')) revokeSession(null);
+    });
+  }
+
+  const form = $id('profileForm');
+  if(form) form.addEventListener('submit', saveProfile);
+
+  const avatarInput = $id('avatarInput');
+  if(avatarInput){
+    avatarInput.addEventListener('change', ()=>{
+      if(avatarInput.files && avatarInput.files.length){
+        uploadAvatar(avatarInput.files[0]);
+        avatarInput.value = '';
+      }
+    });
+  }
 }
 
 /* INPUT HANDLERS */
@@ -894,6 +2435,10 @@ function setupInputHandlers(){
   input.addEventListener('input', sendTyping);
 
   input.addEventListener('keydown', e=>{
+    if(e.key === 'Escape' && replyingTo){
+      cancelReply();
+      return;
+    }
     if(e.key === 'Enter' && !e.shiftKey){
       e.preventDefault();
 
@@ -902,6 +2447,9 @@ function setupInputHandlers(){
     }
   });
 
+  const replyCancel = $id('replyCancelBtn');
+  if(replyCancel) replyCancel.addEventListener('click', cancelReply);
+
   const fileEl = $id('fileInput');
   if(fileEl){
     fileEl.addEventListener('change', ()=>{
@@ -922,6 +2470,122 @@ function setupInputHandlers(){
 }
 
 /* SEARCH */
+const SEARCH_DEBOUNCE = 300; // ms
+
+let searchTimer = null;
+let searchState = { q: '', page: 1, results: [], hasMore: false };
+
+function setupSearch(){
+  const input = $id('searchBox');
+  if(!input) return;
+
+  input.addEventListener('input', ()=>{
+    if(searchTimer) clearTimeout(searchTimer);
+    searchTimer = setTimeout(()=> runSearch(input.value.trim(), 1), SEARCH_DEBOUNCE);
+  });
+
+  input.addEventListener('keydown', e=>{
+    if(e.key === 'Escape'){
+      input.value = '';
+      hideSearchPanel();
+      searchMessages('');
+    }
+  });
+
+  const onlyHere = $id('searchOnlyHere');
+  if(onlyHere){
+    onlyHere.addEventListener('change', ()=> runSearch(input.value.trim(), 1));
+  }
+}
+
+async function runSearch(q, page){
+  if(!q){
+    hideSearchPanel();
+    searchMessages('');
+    return;
+  }
+
+  const params = new URLSearchParams({ q, page: String(page) });
+  const onlyHere = $id('searchOnlyHere');
+  if(onlyHere && onlyHere.checked && activeConvId) params.set('conversationId', activeConvId);
+
+  try{
+    const res = await apiFetch(`/search?${params.toString()}`);
+    // a newer query may have been typed while this one was in flight
+    const input = $id('searchBox');
+    if(!input || input.value.trim() !== q) return;
+    const results = (res && res.results) || [];
+
+    searchState = {
+      q,
+      page,
+      results: page > 1 ? searchState.results.concat(results) : results,
+      hasMore: !!(res && res.hasMore)
+    };
+    renderSearchResults();
+  }catch(e){
+    console.error('runSearch', e);
+  }
+}
+
+function renderSearchResults(){
+  const panel = $id('searchResults');
+  const list = $id('searchResultList');
+  if(!panel || !list) return;
+
+  list.innerHTML = '';
+
+  if(!searchState.results.length){
+    list.innerHTML = '<div class="search-empty muted">نتیجه‌ای یافت نشد</div>';
+  }
+
+  searchState.results.forEach(m=>{
+    const conv = conversations.find(c => String(c._id) === String(m.conversationId));
+    const convTitle = conv ? conversationDisplay(conv).title : 'گفتگو';
+
+    const item = document.createElement('div');
+    item.className = 'search-hit';
+    item.innerHTML = `
+      <div class="hit-head">
+        <span class="hit-conv">${escapeHtml(convTitle)}</span>
+        <span class="hit-from muted">${escapeHtml(m.fromName || 'کاربر')}</span>
+        <span class="hit-time muted">${escapeHtml(new Date(m.createdAt).toLocaleString())}</span>
+      </div>
+      <div class="hit-text">${highlightTerms(m.text || '', searchState.q)}</div>
+    `;
+
+    item.addEventListener('click', async ()=>{
+      hideSearchPanel();
+      await openConversation(m.conversationId, m._id);
+      searchMessages(searchState.q);
+    });
+
+    list.appendChild(item);
+  });
+
+  const more = $id('searchMoreBtn');
+  if(more) more.style.display = searchState.hasMore ? '' : 'none';
+
+  panel.classList.remove('hidden');
+}
+
+function hideSearchPanel(){
+  const panel = $id('searchResults');
+  if(panel) panel.classList.add('hidden');
+}
+
+// match all terms in one pass over the raw text, then escape each segment; odd segments are the matches
+function highlightTerms(text, q){
+  const terms = (q || '').split(/\s+/).filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if(!terms.length) return escapeHtml(text);
+
+  return text.split(new RegExp(`(${terms.join('|')})`, 'gi'))
+    .map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+}
+
 function searchMessages(keyword){
   const box = $id('messageList');
   if(!box) return;
@@ -946,6 +2610,99 @@ function searchMessages(keyword){
   });
 }
 
+/* NEW CHAT */
+let userSearchTimer = null;
+let userSearchState = { q: '', page: 1, hasMore: false };
+
+function openNewChatDialog(){
+  const overlay = openModal('گفتگو جدید', `
+    <input id="userSearchInput" class="search-input" placeholder="نام یا نام کاربری..." autocomplete="off">
+    <div id="userSearchList" class="user-list"></div>
+    <button id="userSearchMoreBtn" class="icon-btn small" style="display:none;">نتایج بیشتر</button>
+  `);
+
+  const input = q('#userSearchInput', overlay);
+  input.addEventListener('input', ()=>{
+    clearTimeout(userSearchTimer);
+    const value = input.value.trim();
+    if(!value){
+      userSearchState = { q: '', page: 1, hasMore: false };
+      renderUserResults([], false);
+      return;
+    }
+    userSearchTimer = setTimeout(()=> searchUsers(value, 1), SEARCH_DEBOUNCE);
+  });
+
+  q('#userSearchMoreBtn', overlay).addEventListener('click', ()=>{
+    searchUsers(userSearchState.q, userSearchState.page + 1);
+  });
+
+  input.focus();
+}
+
+async function searchUsers(query, page){
+  try{
+    const res = await apiFetch(`/users/search?q=${encodeURIComponent(query)}&page=${page}`);
+    // a newer query may have been typed while this one was in flight
+    const input = $id('userSearchInput');
+    if(!input || input.value.trim() !== query) return;
+    userSearchState = { q: query, page, hasMore: !!res.hasMore };
+    renderUserResults(res.users || [], page > 1);
+  }catch(e){
+    console.error('searchUsers', e);
+  }
+}
+
+function renderUserResults(users, append){
+  const list = $id('userSearchList');
+  if(!list) return;
+
+  if(!append) list.innerHTML = '';
+  if(!append && !users.length && userSearchState.q){
+    list.innerHTML = '<div class="small muted">کاربری پیدا نشد</div>';
+  }
+
+  users.forEach(u=>{
+    const row = document.createElement('div');
+    row.className = 'user-row';
+    row.innerHTML = `
+      <span class="user-avatar-wrap">
+        <img class="conv-avatar" src="${escapeHtml(u.avatarThumbUrl || u.avatarUrl || '/default.png')}" alt="">
+        <span class="presence-dot ${u.online ? 'online' : ''}"></span>
+      </span>
+      <div class="conv-meta">
+        <div class="name">${escapeHtml(u.displayName || u.username)}</div>
+        <div class="small muted" dir="ltr">@${escapeHtml(u.username)}</div>
+      </div>
+      <span class="small muted">${u.online ? 'آنلاین' : ''}</span>
+    `;
+    row.addEventListener('click', ()=> startConversationWith(u._id));
+    list.appendChild(row);
+  });
+
+  const more = $id('userSearchMoreBtn');
+  if(more) more.style.display = userSearchState.hasMore ? '' : 'none';
+}
+
+// the server returns the existing private chat when there already is one
+async function startConversationWith(userId){
+  try{
+    const res = await apiFetch('/conversations', {
+      method:'POST',
+      body: JSON.stringify({ user: userId })
+    });
+    const conv = res && res.conversation;
+    if(!conv) return;
+
+    upsertConversation(conv);
+    closeModal();
+    openConversation(conv._id);
+  }catch(e){
+    console.error('startConversationWith', e);
+    alert(e.message === 'blocked' ? 'امکان شروع گفتگو با این کاربر وجود ندارد' : 'شروع گفتگو ناموفق بود');
+  }
+}
+
 /* THEME */
 function applyTheme(){
   const saved = localStorage.getItem(THEME_KEY) || 'light';
@@ -964,8 +2721,46 @@ function toggleTheme(){
 document.addEventListener('DOMContentLoaded', ()=>{
   applyTheme();
   setupInputHandlers();
+  setupHistoryScroll();
+  setupSearch();
+  setupProfileDrawer();
   loadMe();
 
+  const searchMore = $id('searchMoreBtn');
+  if(searchMore){
+    searchMore.addEventListener('click', ()=> runSearch(searchState.q, searchState.page + 1));
+  }
+
+  const newChatBtn = $id('newChatBtn');
+  if(newChatBtn) newChatBtn.addEventListener('click', openNewChatDialog);
+
+  const readAllBtn = $id('markAllReadBtn');
+  if(readAllBtn) readAllBtn.addEventListener('click', markAllRead);
+
+  const pinnedBar = $id('pinnedBar');
+  if(pinnedBar) pinnedBar.addEventListener('click', onPinnedBarClick);
+
+  const leaveBtn = $id('leaveGroupBtn');
+  if(leaveBtn){
+    leaveBtn.addEventListener('click', ()=>{
+      if(activeConvId) leaveGroup(activeConvId);
+    });
+  }
+
+  const blockBtn = $id('blockUserBtn');
+  if(blockBtn){
+    blockBtn.addEventListener('click', ()=>{
+      if(activeConvId) toggleBlock(activeConvId);
+    });
+  }
+
+  const unblockBtn = $id('unblockBtn');
+  if(unblockBtn){
+    unblockBtn.addEventListener('click', ()=>{
+      if(activeConvId) toggleBlock(activeConvId);
+    });
+  }
+
   const themeBtn = $id('themeBtn');
   if(themeBtn){
     themeBtn.addEventListener('click', toggleTheme);
@@ -985,28 +2780,69 @@ function showContextMenu(event, message){
   menu.style.top = event.pageY + 'px';
   menu.style.left = event.pageX + 'px';
 
+  const picker = message.deletedForAll || !reactionEmojis.length ? '' :
+    `<div class="ctx-reactions">${reactionEmojis
+      .map(e => `<span class="ctx-emoji" data-emoji="${escapeHtml(e)}">${escapeHtml(e)}</span>`).join('')}</div>`;
+
   menu.innerHTML = `
-    <div class="ctx-item" data-act="edit">ویرایش</div>
-    <div class="ctx-item" data-act="delete">حذف</div>
+    ${picker}
+    <div class="ctx-item" data-act="reply">پاسخ</div>
+    <div class="ctx-item" data-act="forward">هدایت</div>
+    ${canPin(conversations.find(c => String(c._id) === String(activeConvId))) ? `<div class="ctx-item" data-act="pin">${isPinned(activeConvId, message._id) ? 'برداشتن سنجاق' : 'سنجاق کردن'}</div>` : ''}
+    <div class="ctx-item" data-act="select">${selectedMessageIds.has(String(message._id)) ? 'لغو انتخاب' : 'انتخاب'}</div>
+    ${isMine(message) && !message.deletedForAll ? '<div class="ctx-item" data-act="edit">ویرایش</div>' : ''}
+    <div class="ctx-item" data-act="delete">حذف برای من</div>
+    ${isMine(message) ? '<div class="ctx-item" data-act="delete-all">حذف برای همه</div>' : ''}
     <div class="ctx-item" data-act="copy">کپی متن</div>
+    ${!isMine(message) && !message.deletedForAll && message.kind !== 'system' ? `
+      <div class="ctx-item" data-act="report">گزارش پیام</div>
+      <div class="ctx-item" data-act="report-user">گزارش کاربر</div>` : ''}
   `;
 
   document.body.appendChild(menu);
   contextMenu = menu;
 
   menu.addEventListener('click', e=>{
+    const emoji = e.target.dataset.emoji;
+    if(emoji){
+      reactWith(message, emoji);
+      hideContextMenu();
+      return;
+    }
+
     const act = e.target.dataset.act;
     if(!act) return;
 
-    if(act === 'edit'){
+    if(act === 'reply'){
+      startReply(message._id, message);
+    }
+    else if(act === 'forward'){
+      openForwardDialog(message);
+    }
+    else if(act === 'pin'){
+      togglePin(message);
+    }
+    else if(act === 'select'){
+      toggleMessageSelection(String(message._id));
+    }
+    else if(act === 'edit'){
       startEditingMessage(message._id, message.text || '');
     }
     else if(act === 'delete'){
-      startDeleteMessage(message);
+      startDeleteMessage(message, false);
+    }
+    else if(act === 'delete-all'){
+      startDeleteMessage(message, true);
     }
     else if(act === 'copy'){
       navigator.clipboard.writeText(message.text || '').catch(()=>{});
     }
+    else if(act === 'report'){
+      openReportDialog({ messageId: message._id });
+    }
+    else if(act === 'report-user'){
+      openReportDialog({ userId: message.from || (message.senderId && (message.senderId._id || message.senderId)), name: message.fromName });
+    }
 
     hideContextMenu();
   });
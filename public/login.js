@@ -2,12 +2,8 @@
   const form = document.getElementById('loginForm');
   const msg = document.getElementById('message');
 
-  // اگر قبلاً وارد شده باشد
-  const existingToken = localStorage.getItem('eclipse:token') || sessionStorage.getItem('eclipse:token');
-  if (existingToken) {
-    window.location.href = '/chat.html';
-    return;
-  }
+  // اگر قبلاً وارد شده باشد (کوکی refresh هنوز معتبر است)
+  EclipseSession.refresh().then(() => { window.location.href = '/chat.html'; }).catch(() => {});
 
   function showMessage(text, ok) {
     msg.textContent = text || '';
@@ -16,6 +12,79 @@
       : getComputedStyle(document.documentElement).getPropertyValue('--danger');
   }
 
+  function finishLogin(data, remember) {
+    showMessage('ورود موفق — در حال انتقال...', true);
+
+    // توکن دسترسی کوتاه‌مدت است؛ session.js با کوکی refresh آن را تمدید می‌کند
+    EclipseSession.store(data.token, remember);
+
+    setTimeout(() => {
+      location.href = '/chat.html';
+    }, 650);
+  }
+
+  // مرحله‌ی دوم: رمز درست بود، حالا کد TOTP یا کد بازیابی
+  const totpForm = document.getElementById('totpForm');
+  let pending = null; // { challenge, remember }
+
+  function startSecondStep(challenge, remember) {
+    pending = { challenge, remember };
+    form.style.display = 'none';
+    totpForm.style.display = '';
+    showMessage('', false);
+    document.getElementById('totpCode').focus();
+  }
+
+  function backToFirstStep() {
+    pending = null;
+    totpForm.reset();
+    totpForm.style.display = 'none';
+    form.style.display = '';
+  }
+
+  document.getElementById('totpBack').addEventListener('click', (e) => {
+    e.preventDefault();
+    backToFirstStep();
+  });
+
+  totpForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = document.getElementById('totpCode').value.trim();
+    if (!pending || !code) return;
+
+    try {
+      const res = await fetch('/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challenge: pending.challenge, code, remember: pending.remember })
+      });
+
+      let data = null;
+      try { data = await res.json(); } catch (err) {}
+
+      if (res.ok && data && data.ok && data.token) {
+        finishLogin(data, pending.remember);
+        return;
+      }
+
+      const err = data && data.error;
+      if (err === 'challenge_expired') {
+        backToFirstStep();
+        showMessage('مهلت ورود تمام شد؛ دوباره وارد شوید', false);
+      } else if (err === 'account_banned' || err === 'account_suspended') {
+        backToFirstStep();
+        showMessage(err === 'account_banned' ? 'این حساب مسدود شده است' : `این حساب تا ${new Date(data.until).toLocaleString()} معلق است`, false);
+      } else if (err === 'invalid_code') {
+        showMessage('کد نادرست است' + (data.attemptsLeft > 0 ? ` (${data.attemptsLeft} تلاش باقی‌مانده)` : ''), false);
+        if (!(data.attemptsLeft > 0)) backToFirstStep();
+      } else {
+        showMessage('خطا در تأیید کد', false);
+      }
+    } catch (err) {
+      showMessage('خطا در اتصال به سرور', false);
+    }
+  });
+
   form.addEventListener('submit', async (e) => {
     e.preventDefault();
     showMessage('', false);
@@ -33,23 +102,24 @@
       const res = await fetch('/auth/login', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password })
+        body: JSON.stringify({ username, password, remember })
       });
 
       let data = null;
       try { data = await res.json(); } catch (err) {}
 
-      if (res.ok && data && data.ok && data.token) {
-        showMessage('ورود موفق — در حال انتقال...', true);
-
-        // ذخیره توکن با نام صحیح
-        if (remember) localStorage.setItem('eclipse:token', data.token);
-        else sessionStorage.setItem('eclipse:token', data.token);
+      if (res.ok && data && data.ok && data.twoFactorRequired) {
+        startSecondStep(data.challenge, remember);
+        return;
+      }
 
-        setTimeout(() => {
-          location.href = '/chat.html';
-        }, 650);
+      if (res.ok && data && data.ok && data.token) {
+        finishLogin(data, remember);
+        return;
+      }
 
+      if (data && data.error === 'site_access_required') {
+        location.href = '/access.html';
         return;
       }
 
@@ -58,6 +128,8 @@
         if (data.error === 'user_not_found') txt = 'کاربری با این نام یافت نشد';
         if (data.error === 'wrong_password' || data.error === 'invalid_credentials') txt = 'نام‌کاربری یا رمز عبور اشتباه است';
         if (data.error === 'missing_fields') txt = 'فیلدها تکمیل نشده‌اند';
+        if (data.error === 'account_banned') txt = 'این حساب مسدود شده است' + (data.reason ? ` — ${data.reason}` : '');
+        if (data.error === 'account_suspended') txt = `این حساب تا ${new Date(data.until).toLocaleString()} معلق است` + (data.reason ? ` — ${data.reason}` : '');
         showMessage(txt, false);
         return;
       }
@@ -8,6 +8,30 @@
         msg.style.color = ok ? "var(--success)" : "var(--danger)";
       }
 
+      // ===== password policy (same rules the server enforces) =====
+      const RULE_NAMES = { letter: "یک حرف", digit: "یک عدد", upper: "یک حرف بزرگ", lower: "یک حرف کوچک", symbol: "یک نماد" };
+      let policy = { minLength: 8, require: ["letter", "digit"] };
+
+      function policyText(p) {
+        const rules = (p.require || []).map(r => RULE_NAMES[r]).filter(Boolean);
+        return `رمز عبور باید حداقل ${p.minLength} نویسه باشد` + (rules.length ? ` و دست‌کم ${rules.join("، ")} داشته باشد` : "");
+      }
+
+      function passwordErrorText(code, p) {
+        if (code === "password_too_short") return `❌ رمز عبور باید حداقل ${p.minLength} نویسه باشد`;
+        if (code === "password_too_long") return "❌ رمز عبور بیش از حد طولانی است";
+        if (code === "password_same_as_username") return "❌ رمز عبور نباید با آیدی یکسان باشد";
+        const rule = code.replace("password_needs_", "");
+        if (RULE_NAMES[rule]) return `❌ رمز عبور باید دست‌کم ${RULE_NAMES[rule]} داشته باشد`;
+        return null;
+      }
+
+      const hint = document.getElementById("passwordHint");
+      fetch("/auth/password-policy")
+        .then(r => r.json())
+        .then(d => { if (d && d.policy) policy = d.policy; if (hint) hint.textContent = policyText(policy); })
+        .catch(() => { if (hint) hint.textContent = policyText(policy); });
+
       form.addEventListener("submit", async (e) => {
         e.preventDefault();
 
@@ -41,11 +65,23 @@
 
           // handle different possible error strings that server might send
           const errCode = data && data.error ? data.error : null;
-          if (errCode === "username_taken" || errCode === "username exists" || errCode === "user_exists") {
+          if (errCode === "site_access_required") {
+            location.href = "/access.html";
+            return;
+          }
+          if (errCode === "username_taken" || errCode === "username_exists" || errCode === "username exists" || errCode === "user_exists") {
             showMessage("❌ این آیدی از قبل وجود دارد", false);
             return;
           }
 
+          if (errCode && errCode.startsWith("password_")) {
+            const text = passwordErrorText(errCode, (data && data.policy) || policy);
+            if (text) {
+              showMessage(text, false);
+              return;
+            }
+          }
+
           // fallback messages
           if (data && data.error) {
             showMessage("⚠️ خطا: " + data.error, false);
@@ -0,0 +1,70 @@
+/* session.js — access-token storage and refresh, shared by chat.js, admin.js and login.js.
+   The refresh token is an HttpOnly cookie scoped to /auth, so every tab refreshes the same session
+   instead of each holding (and rotating) its own copy. */
+window.EclipseSession = (function(){
+  const TOKEN_KEY = 'eclipse:token';
+  const REFRESH_MARGIN = 60; // s before access-token expiry
+
+  let inFlight = null;
+
+  // "remember me" sessions keep the access token in localStorage, others in sessionStorage
+  function token(){
+    return localStorage.getItem(TOKEN_KEY) || sessionStorage.getItem(TOKEN_KEY) || null;
+  }
+
+  function store(value, persistent){
+    clear();
+    (persistent ? localStorage : sessionStorage).setItem(TOKEN_KEY, value);
+  }
+
+  function clear(){
+    localStorage.removeItem(TOKEN_KEY);
+    sessionStorage.removeItem(TOKEN_KEY);
+  }
+
+  function expiresSoon(){
+    const t = token();
+    if(!t) return true;
+    try{
+      const payload = JSON.parse(atob(t.split('.')[1].replace(/-/g,'+').replace(/_/g,'/')));
+      return !payload.exp || payload.exp - Date.now() / 1000 < REFRESH_MARGIN;
+    }catch(e){ return true; }
+  }
+
+  // trades the refresh cookie for a new access token; concurrent callers share one request
+  function refresh(){
+    if(inFlight) return inFlight;
+
+    inFlight = (async ()=>{
+      const res = await fetch('/auth/refresh', { method:'POST', credentials:'same-origin' });
+      const data = await res.json().catch(()=>null);
+      if(!res.ok || !data || !data.ok){
+        const err = new Error((data && data.error) || 'refresh_failed');
+        err.status = res.status;
+        err.body = data;
+        throw err;
+      }
+      store(data.token, data.persistent);
+      return data.token;
+    })();
+
+    inFlight.catch(()=>{}).finally(()=>{ inFlight = null; });
+    return inFlight;
+  }
+
+  async function logout(){
+    const t = token();
+    try{
+      await fetch('/auth/logout', {
+        method:'POST',
+        credentials:'same-origin',
+        headers: t ? { Authorization: 'Bearer ' + t } : {}
+      });
+    }catch(e){
+      console.warn('logout', e);
+    }
+    clear();
+  }
+
+  return { token, store, clear, expiresSoon, refresh, logout };
+})();
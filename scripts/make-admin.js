@@ -0,0 +1,27 @@
+// scripts/make-admin.js — grant a staff role from the command line
+// usage: node scripts/make-admin.js <username> [admin|moderator|user]
+'use strict';
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/eclipse_chat';
+const ROLES = ['user', 'moderator', 'admin'];
+
+async function main(){
+  const [username, role = 'admin'] = process.argv.slice(2);
+  if(!username || !ROLES.includes(role)){
+    console.error('usage: node scripts/make-admin.js <username> [admin|moderator|user]');
+    process.exit(1);
+  }
+  await mongoose.connect(MONGO_URI);
+  // server.js owns the schema; a raw collection update keeps this script independent of it
+  const r = await mongoose.connection.collection('users').updateOne({ username, deletedAt: null }, { $set: { role } });
+  await mongoose.disconnect();
+  if(!r.matchedCount){
+    console.error(`no user named "${username}"`);
+    process.exit(1);
+  }
+  console.log(`${username} is now ${role}`);
+}
+
+main().catch(err=>{ console.error(err); process.exit(1); });
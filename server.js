@@ -1,6 +1,9 @@
 // server.js — fixed typing emit + consistent upload response
 'use strict';
 const fs = require('fs');
+const os = require('os');
+const cluster = require('cluster');
+const crypto = require('crypto');
 const path = require('path');
 const http = require('http');
 const express = require('express');
@@ -13,29 +16,102 @@ const multer = require('multer');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
+const sharp = require('sharp');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
 require('dotenv').config();
 
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/eclipse_chat';
 const JWT_SECRET = process.env.JWT_SECRET || 'change_this_jwt_secret';
 const SITE_PASSWORD = process.env.SITE_PASSWORD || '';
+const SITE_ACCESS_TTL_MS = parseInt(process.env.SITE_ACCESS_HOURS || '168', 10) * 60 * 60 * 1000;
+const SITE_ACCESS_MAX_ATTEMPTS = parseInt(process.env.SITE_ACCESS_MAX_ATTEMPTS || '10', 10);
+const COOKIE_SECRET = process.env.COOKIE_SECRET || JWT_SECRET;
+// behind a reverse proxy: hop count ("1"), "true", or addresses/subnets Express' `trust proxy` accepts ("loopback, 10.0.0.0/8").
+// Unset = connect directly, so X-Forwarded-For is ignored and req.ip is the socket address.
+const TRUST_PROXY = (v => v === '' ? false : v === 'true' ? true : v === 'false' ? false : /^\d+$/.test(v) ? parseInt(v, 10) : v)((process.env.TRUST_PROXY || '').trim());
+// usernames promoted to admin on every start (bootstrap for the first admin)
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(u => u.trim()).filter(Boolean);
+// scaling: REDIS_URL switches the socket.io adapter and the presence store to Redis unless they are set explicitly
+const REDIS_URL = process.env.REDIS_URL || '';
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || (REDIS_URL ? 'redis' : 'memory');
+const PRESENCE_STORE = process.env.PRESENCE_STORE || (REDIS_URL ? 'redis' : 'memory');
+const PRESENCE_HEARTBEAT_MS = parseInt(process.env.PRESENCE_HEARTBEAT_SECONDS || '10', 10) * 1000;
+// 0/1 = single process, "auto" = one worker per CPU
+const CLUSTER_WORKERS = process.env.CLUSTER_WORKERS === 'auto' ? os.availableParallelism() : parseInt(process.env.CLUSTER_WORKERS || '0', 10);
+
+// cluster mode: the primary only forks workers and replaces the ones that die; each worker runs everything below.
+// Workers share PORT, so broadcasts and presence have to go through Redis.
+if(cluster.isPrimary && CLUSTER_WORKERS > 1){
+  if(SOCKET_ADAPTER !== 'redis' || PRESENCE_STORE !== 'redis'){ console.error('CLUSTER_WORKERS needs REDIS_URL (redis socket adapter and presence store)'); process.exit(1); }
+  for(let i = 0; i < CLUSTER_WORKERS; i++) cluster.fork();
+  cluster.on('exit', (worker, code, signal) => { console.warn(`worker ${worker.process.pid} exited (${signal || code}), starting a new one`); setTimeout(() => cluster.fork(), 1000); });
+  return;
+}
+// 0 = senders may delete for everyone at any time
+const DELETE_FOR_ALL_WINDOW_MS = parseInt(process.env.DELETE_FOR_ALL_WINDOW_MINUTES || '0', 10) * 60 * 1000;
+// 0 = messages stay editable forever
+const EDIT_WINDOW_MS = parseInt(process.env.EDIT_WINDOW_MINUTES || '0', 10) * 60 * 1000;
+const ACCESS_TOKEN_TTL_S = parseInt(process.env.ACCESS_TOKEN_MINUTES || '15', 10) * 60;
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
 const UPLOADS_REL = path.join('public', 'uploads');
 const UPLOADS_DIR = path.join(__dirname, UPLOADS_REL);
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
 const app = express();
+// req.ip (rate limits, session IPs) and req.secure (Secure cookies) come from X-Forwarded-* only for trusted proxies
+app.set('trust proxy', TRUST_PROXY);
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: '*' }, maxHttpBufferSize: 1e7 });
+// socket payloads are JSON only (files go through /upload/media), so a small frame cap is plenty
+const SOCKET_MAX_PAYLOAD_BYTES = parseInt(process.env.SOCKET_MAX_PAYLOAD_KB || '64', 10) * 1024;
+const io = new Server(server, { cors: { origin: '*' }, maxHttpBufferSize: SOCKET_MAX_PAYLOAD_BYTES });
 
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '20mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser(COOKIE_SECRET));
 app.use(morgan('dev'));
 
 const authLimiter = rateLimit({ windowMs: 60 * 1000, max: 20, standardHeaders: true, legacyHeaders: false, });
 app.use('/auth', authLimiter);
 
+// site access gate: a correct site password earns a signed HttpOnly cookie `<expiresAt>.<password fingerprint>`,
+// so changing SITE_PASSWORD invalidates every issued cookie. No SITE_PASSWORD = no gate.
+const SITE_ACCESS_COOKIE = 'eclipse_access';
+const GATED_PAGES = ['/register.html', '/login.html', '/chat.html', '/admin.html'];
+
+function sitePasswordFingerprint(){ return crypto.createHash('sha256').update('site-access:' + SITE_PASSWORD).digest('hex').slice(0, 24); }
+
+function sitePasswordMatches(given){
+  if(!SITE_PASSWORD) return false;
+  const a = Buffer.from(String(given)), b = Buffer.from(SITE_PASSWORD);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function hasSiteAccess(req){
+  if(!SITE_PASSWORD) return true;
+  const [exp, fp] = String((req.signedCookies && req.signedCookies[SITE_ACCESS_COOKIE]) || '').split('.');
+  return parseInt(exp, 10) > Date.now() && fp === sitePasswordFingerprint();
+}
+
+function requireSiteAccess(req,res,next){
+  if(hasSiteAccess(req)) return next();
+  if(req.method === 'GET') return res.redirect('/access.html');
+  return res.status(403).json({ ok:false, error:'site_access_required' });
+}
+
+// only failed guesses count, per IP
+const siteAccessLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: SITE_ACCESS_MAX_ATTEMPTS, skipSuccessfulRequests: true, standardHeaders: true, legacyHeaders: false, message: { ok:false, error:'too_many_attempts' } });
+
+// express.static decodes and resolves the path, so the gate compares the same normalised form ("/chat%2Ehtml", "//chat.html")
+function gatedPage(req){
+  try{ return GATED_PAGES.includes(path.posix.normalize(decodeURIComponent(req.path)).toLowerCase()); }catch(e){ return false; }
+}
+app.use((req,res,next) => gatedPage(req) ? requireSiteAccess(req,res,next) : next());
+
 app.use('/uploads', express.static(UPLOADS_DIR));
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -47,106 +123,1642 @@ app.get('/', (req, res) => {
   return res.send('OK');
 });
 
-mongoose.connect(MONGO_URI, { }).then(()=>console.log('MongoDB connected')).catch(err=>console.error('MongoDB connect err:',err));
+mongoose.connect(MONGO_URI, { }).then(async ()=>{ console.log('MongoDB connected'); if(ADMIN_USERNAMES.length){ const r = await User.updateMany({ username: { $in: ADMIN_USERNAMES }, role: { $ne: 'admin' } }, { $set: { role: 'admin' } }); if(r.modifiedCount) console.log(`Promoted ${r.modifiedCount} user(s) to admin from ADMIN_USERNAMES`); } }).catch(err=>console.error('MongoDB connect err:',err));
 const { Schema } = mongoose;
 
-const UserSchema = new Schema({ username:{type:String,index:true,unique:true}, passwordHash:String, displayName:String, avatarUrl:String, online:{type:Boolean,default:false}, lastSeenAt:Date }, { timestamps:true });
-const AttachmentSchema = new Schema({ url:String, name:String, size:Number, mime:String }, { _id:false });
-const MessageSchema = new Schema({ conversationId:{ type: Schema.Types.ObjectId, ref: 'Conversation' }, senderId:{ type: Schema.Types.ObjectId, ref: 'User' }, text:String, attachments:[AttachmentSchema], editedAt:Date, deleted:{ type:Boolean, default:false }, deletedForAll:{ type:Boolean, default:false }, seenBy:[{ type: Schema.Types.ObjectId, ref: 'User' }] }, { timestamps:true });
-const ConversationSchema = new Schema({ type:{type:String,default:'private'}, participants:[{ type: Schema.Types.ObjectId, ref: 'User' }], title:String, lastMessageAt:Date, lastMessageText:String }, { timestamps:true });
+// TOTP second factor: `pendingSecret` until the first code confirms enrolment; recovery codes are stored hashed
+const TotpSchema = new Schema({ enabled:{ type:Boolean, default:false }, secret:String, pendingSecret:String, lastStep:Number, recoveryCodes:[String] }, { _id:false });
+const UserSchema = new Schema({ username:{type:String,index:true,unique:true}, passwordHash:String, displayName:String, bio:String, role:{ type:String, enum:['user','moderator','admin'], default:'user' }, suspendedUntil:Date, bannedAt:Date, moderationReason:String, deletedAt:Date, avatarUrl:String, avatarThumbUrl:String, online:{type:Boolean,default:false}, lastSeenAt:Date, blockedUsers:[{ type: Schema.Types.ObjectId, ref: 'User' }], totp:TotpSchema, storageUsedBytes:{ type:Number, default:0 }, uploadDay:{ date:String, bytes:{ type:Number, default:0 } } }, { timestamps:true });
+// images also carry their (orientation-corrected) size, downscaled variants and a tiny inline placeholder
+const AttachmentSchema = new Schema({ url:String, name:String, size:Number, mime:String, width:Number, height:Number, previewUrl:String, thumbUrl:String, placeholder:String }, { _id:false });
+// a vetted file as /upload/media stored it; messages may only attach their sender's own uploads, copied from here
+const UploadSchema = new Schema({ userId:{ type: Schema.Types.ObjectId, ref: 'User', index:true }, attachment:AttachmentSchema }, { timestamps:true });
+// system events describe group membership changes; the client renders them from `action` + ids
+const SystemEventSchema = new Schema({ action:String, actorId:{ type: Schema.Types.ObjectId, ref: 'User' }, userIds:[{ type: Schema.Types.ObjectId, ref: 'User' }], title:String }, { _id:false });
+// provenance of a forwarded message; forwarding a forward keeps pointing at the original author
+const ForwardSchema = new Schema({ messageId:{ type: Schema.Types.ObjectId, ref: 'Message' }, senderId:{ type: Schema.Types.ObjectId, ref: 'User' }, senderName:String, conversationId:{ type: Schema.Types.ObjectId, ref: 'Conversation' } }, { _id:false });
+// a revision is a superseded wording of a message and the time it was written
+const RevisionSchema = new Schema({ text:String, createdAt:Date }, { _id:false });
+const MessageSchema = new Schema({ conversationId:{ type: Schema.Types.ObjectId, ref: 'Conversation' }, senderId:{ type: Schema.Types.ObjectId, ref: 'User' }, kind:{ type:String, default:'user' }, system:SystemEventSchema, text:String, attachments:[AttachmentSchema], editedAt:Date, revisions:[RevisionSchema], replyTo:{ type: Schema.Types.ObjectId, ref: 'Message' }, forwardedFrom:ForwardSchema, reactions:{ type: Map, of: [{ type: Schema.Types.ObjectId, ref: 'User' }], default: {} }, deleted:{ type:Boolean, default:false }, deletedForAll:{ type:Boolean, default:false }, hiddenFor:[{ type: Schema.Types.ObjectId, ref: 'User' }], deliveredTo:[{ type: Schema.Types.ObjectId, ref: 'User' }], seenBy:[{ type: Schema.Types.ObjectId, ref: 'User' }] }, { timestamps:true });
+MessageSchema.index({ conversationId:1, createdAt:-1, _id:-1 });
+// 'none' disables English stemming/stop-words so Persian and mixed text match literally
+MessageSchema.index({ text:'text' }, { default_language:'none' });
+// per-participant read position: everything up to lastReadAt counts as read
+const ReadStateSchema = new Schema({ userId:{ type: Schema.Types.ObjectId, ref: 'User' }, lastReadAt:Date, lastReadMessageId:{ type: Schema.Types.ObjectId, ref: 'Message' } }, { _id:false });
+const ConversationSchema = new Schema({ type:{type:String,default:'private'}, participants:[{ type: Schema.Types.ObjectId, ref: 'User' }], title:String, avatarUrl:String, avatarUploadedBy:{ type: Schema.Types.ObjectId, ref: 'User' }, ownerId:{ type: Schema.Types.ObjectId, ref: 'User' }, admins:[{ type: Schema.Types.ObjectId, ref: 'User' }], pinnedMessageIds:[{ type: Schema.Types.ObjectId, ref: 'Message' }], readState:[ReadStateSchema], lastMessageAt:Date, lastMessageText:String }, { timestamps:true });
+// a report keeps its own copy of the message so deleting or editing it later doesn't erase the evidence
+const ReportSnapshotSchema = new Schema({ text:String, attachments:[AttachmentSchema], senderId:{ type: Schema.Types.ObjectId, ref: 'User' }, senderName:String, createdAt:Date }, { _id:false });
+const ReportSchema = new Schema({ reporterId:{ type: Schema.Types.ObjectId, ref: 'User' }, targetUserId:{ type: Schema.Types.ObjectId, ref: 'User' }, messageId:{ type: Schema.Types.ObjectId, ref: 'Message' }, conversationId:{ type: Schema.Types.ObjectId, ref: 'Conversation' }, snapshot:ReportSnapshotSchema, reason:String, note:String, status:{ type:String, default:'open', index:true }, resolution:String, resolvedBy:{ type: Schema.Types.ObjectId, ref: 'User' }, resolvedAt:Date, moderatorNote:String }, { timestamps:true });
+// in-app notices (report outcomes, warnings); delivered live and kept until read
+const NoticeSchema = new Schema({ userId:{ type: Schema.Types.ObjectId, ref: 'User', index:true }, kind:String, data:Schema.Types.Mixed, readAt:Date }, { timestamps:true });
+// password-verified login waiting for its second factor; Mongo's TTL monitor removes expired ones
+const LoginChallengeSchema = new Schema({ userId:{ type: Schema.Types.ObjectId, ref: 'User' }, tokenHash:String, attempts:{ type:Number, default:0 }, expiresAt:{ type:Date, expires:0 } }, { timestamps:true });
+// one refresh session per signed-in device; only a hash of the refresh secret is stored
+const SessionSchema = new Schema({ userId:{ type: Schema.Types.ObjectId, ref: 'User', index:true }, tokenHash:String, prevTokenHash:String, rotatedAt:Date, persistent:Boolean, deviceName:String, ip:String, userAgent:String, lastUsedAt:Date, expiresAt:Date, revokedAt:Date }, { timestamps:true });
 
 const User = mongoose.models.User || mongoose.model('User', UserSchema);
 const Conversation = mongoose.models.Conversation || mongoose.model('Conversation', ConversationSchema);
 const Message = mongoose.models.Message || mongoose.model('Message', MessageSchema);
+const Session = mongoose.models.Session || mongoose.model('Session', SessionSchema);
+const Report = mongoose.models.Report || mongoose.model('Report', ReportSchema);
+const Notice = mongoose.models.Notice || mongoose.model('Notice', NoticeSchema);
+const Upload = mongoose.models.Upload || mongoose.model('Upload', UploadSchema);
+const LoginChallenge = mongoose.models.LoginChallenge || mongoose.model('LoginChallenge', LoginChallengeSchema);
+
+// the client's name/mimetype are not trusted: files land as `.upload` and get their real extension after sniffing
+const storage = multer.diskStorage({ destination:(req,file,cb)=>cb(null, UPLOADS_DIR), filename:(req,file,cb)=>{ const name = Date.now() + '-' + Math.random().toString(36).slice(2,8) + '.upload'; cb(null,name); } });
+const UPLOAD_MAX_FILE_BYTES = parseInt(process.env.UPLOAD_MAX_FILE_MB || '50', 10) * 1024 * 1024;
+const upload = multer({ storage, limits: { fileSize: UPLOAD_MAX_FILE_BYTES } });
+
+// upload vetting: detect the real type from the bytes, check it against the allowed categories
+// and charge the uploader's daily/total storage quota
+const UPLOAD_CATEGORIES = (process.env.UPLOAD_ALLOWED_CATEGORIES || 'image,audio,video,document').split(',').map(c => c.trim()).filter(Boolean);
+const UPLOAD_DAILY_QUOTA_BYTES = parseInt(process.env.UPLOAD_DAILY_QUOTA_MB || '200', 10) * 1024 * 1024;
+const UPLOAD_TOTAL_QUOTA_BYTES = parseInt(process.env.UPLOAD_TOTAL_QUOTA_MB || '1024', 10) * 1024 * 1024;
+const DOCUMENT_MIMES = new Set([ 'application/pdf', 'application/rtf', 'application/epub+zip', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint', 'application/x-cfb', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.openxmlformats-officedocument.presentationml.presentation', 'application/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.spreadsheet', 'application/vnd.oasis.opendocument.presentation' ]);
+const TEXT_EXTENSIONS = { txt:'text/plain', csv:'text/csv', md:'text/markdown', log:'text/plain' };
+// markup a browser could execute if the file were ever opened inline
+const ACTIVE_CONTENT = /<(script|html|body|svg|iframe|object|embed|xml)\b|<\?xml|<!doctype|javascript:/i;
+
+let fileTypeModule = null;
+function loadFileType(){ if(!fileTypeModule) fileTypeModule = import('file-type'); return fileTypeModule; }
+
+// images are only accepted in formats the image pipeline re-encodes, so none is ever served with its EXIF/GPS intact
+// (HEIC, camera RAW, BMP, PSD, ... are refused rather than stored byte-for-byte)
+const PROCESSABLE_IMAGES = /^image\/(jpeg|png|webp|gif|avif|tiff)$/;
+
+function uploadCategory(mime){
+  if(!mime) return null;
+  if(/^image\//.test(mime)) return PROCESSABLE_IMAGES.test(mime) ? 'image' : null;
+  if(/^audio\//.test(mime)) return 'audio';
+  if(/^video\//.test(mime)) return 'video';
+  if(DOCUMENT_MIMES.has(mime) || Object.values(TEXT_EXTENSIONS).includes(mime)) return 'document';
+  return null;
+}
+
+// file-type does not recognise text formats; accept plain text only when it carries no markup
+async function sniffText(filePath, originalName){
+  const fh = await fs.promises.open(filePath, 'r');
+  try{
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(8192), 0, 8192, 0);
+    const head = buffer.subarray(0, bytesRead);
+    if(head.includes(0)) return { error:'type_not_allowed' };
+    if(ACTIVE_CONTENT.test(head.toString('utf8'))) return { error:'dangerous_file' };
+    const ext = path.extname(originalName || '').slice(1).toLowerCase();
+    return TEXT_EXTENSIONS[ext] ? { ext, mime: TEXT_EXTENSIONS[ext] } : { ext:'txt', mime:'text/plain' };
+  }finally{ await fh.close(); }
+}
+
+// returns { mime, ext, path } with the file renamed to its detected extension, or { error }; rejected files are deleted
+async function vetUpload(file, categories){
+  const allowed = (categories || UPLOAD_CATEGORIES).filter(c => UPLOAD_CATEGORIES.includes(c));
+  const { fileTypeFromFile } = await loadFileType();
+  let detected = await fileTypeFromFile(file.path);
+  if(!detected){ detected = await sniffText(file.path, file.originalname); if(detected.error){ await discardUpload(file.path); return detected; } }
+  const category = uploadCategory(detected.mime);
+  if(!category || !allowed.includes(category)){ await discardUpload(file.path); return { error:'type_not_allowed' }; }
+  const declared = uploadCategory(file.mimetype);
+  if(declared && declared !== category){ await discardUpload(file.path); return { error:'type_mismatch' }; }
+  const finalPath = file.path.replace(/\.upload$/, '') + '.' + detected.ext;
+  await fs.promises.rename(file.path, finalPath);
+  return { mime: detected.mime, ext: detected.ext, path: finalPath, category };
+}
 
-const storage = multer.diskStorage({ destination:(req,file,cb)=>cb(null, UPLOADS_DIR), filename:(req,file,cb)=>{ const ext=path.extname(file.originalname); const name = Date.now() + '-' + Math.random().toString(36).slice(2,8) + ext; cb(null,name); } });
-const upload = multer({ storage, limits: { fileSize: 50 * 1024 * 1024 } });
+function discardUpload(filePath){ return fs.promises.unlink(filePath).catch(()=>{}); }
 
-function signToken(user){ return jwt.sign({ id: user._id, username: user.username }, JWT_SECRET, { expiresIn: '7d' }); }
+// atomically charges `bytes` against the user's daily and total quota; { error } when either would be exceeded
+async function chargeUploadQuota(userId, bytes){
+  const today = new Date().toISOString().slice(0, 10);
+  await User.updateOne({ _id: userId, 'uploadDay.date': { $ne: today } }, { $set: { uploadDay: { date: today, bytes: 0 } } });
+  const r = await User.updateOne({ _id: userId, storageUsedBytes: { $not: { $gt: UPLOAD_TOTAL_QUOTA_BYTES - bytes } }, 'uploadDay.bytes': { $lte: UPLOAD_DAILY_QUOTA_BYTES - bytes } }, { $inc: { storageUsedBytes: bytes, 'uploadDay.bytes': bytes } });
+  if(r.modifiedCount) return {};
+  const u = await User.findById(userId).select('storageUsedBytes uploadDay').lean();
+  if(u && (u.storageUsedBytes || 0) + bytes > UPLOAD_TOTAL_QUOTA_BYTES) return { error:'quota_total_exceeded' };
+  return { error:'quota_daily_exceeded' };
+}
 
-async function authMiddleware(req,res,next){ const auth = req.headers.authorization || ''; const m = auth.match(/^Bearer (.+)$/i); if(!m) return res.status(401).json({ ok:false, error:'no_token' }); const token = m[1]; try{ const payload = jwt.verify(token, JWT_SECRET); const user = await User.findById(payload.id).lean(); if(!user) return res.status(401).json({ ok:false, error:'invalid_token' }); req.user = user; next(); }catch(err){ return res.status(401).json({ ok:false, error:'invalid_token' }); } }
+// public URL of a stored upload (served by the /uploads static mount)
+function uploadUrl(filePath){ return `/uploads/${path.basename(filePath)}`; }
+
+// access tokens are short-lived JWTs bound to a session (`sid`); refresh tokens are `<sessionId>.<secret>`
+function signToken(user, sessionId){ return jwt.sign({ id: user._id, username: user.username, sid: String(sessionId) }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_S }); }
+
+function hashSecret(secret){ return crypto.createHash('sha256').update(secret).digest('hex'); }
+
+// "Chrome on Windows" style label from the user agent, unless the client named the device itself
+function deviceNameFrom(req){
+  const given = String((req.body && req.body.deviceName) || '').trim().slice(0, 64);
+  if(given) return given;
+  const ua = req.headers['user-agent'] || '';
+  const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\//.test(ua) ? 'Opera' : /Firefox\//.test(ua) ? 'Firefox' : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : null;
+  const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows' : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : null;
+  return [browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+}
+
+// the refresh token `<sessionId>.<secret>` lives in an HttpOnly cookie shared by all tabs; "remember me" makes it outlive the browser
+const REFRESH_COOKIE = 'eclipse_refresh';
+// two tabs refreshing at once both present the same secret; the slower one within this window is not a replay
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+function setRefreshCookie(req, res, value, persistent){ res.cookie(REFRESH_COOKIE, value, { httpOnly:true, sameSite:'strict', secure: req.secure, path:'/auth', ...(persistent ? { maxAge: REFRESH_TOKEN_TTL_MS } : {}) }); }
+
+async function createSession(user, req, res){
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const persistent = !!(req.body && req.body.remember);
+  const session = await Session.create({ userId: user._id, tokenHash: hashSecret(secret), persistent, deviceName: deviceNameFrom(req), ip: req.ip, userAgent: req.headers['user-agent'] || '', lastUsedAt: new Date(), expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS) });
+  setRefreshCookie(req, res, `${session._id}.${secret}`, persistent);
+  return { token: signToken(user, session._id), expiresIn: ACCESS_TOKEN_TTL_S, sessionId: session._id, persistent };
+}
+
+function activeSessionFilter(){ return { revokedAt: null, expiresAt: { $gt: new Date() } }; }
+
+// revokes matching sessions and drops their sockets (each socket sits in a `session:<id>` room)
+async function revokeSessions(filter){
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+  if(!sessions.length) return 0;
+  await Session.updateMany({ _id: { $in: sessions.map(s => s._id) } }, { $set: { revokedAt: new Date() } });
+  sessions.forEach(s => { const room = `session:${s._id}`; io.to(room).emit('session:revoked', { sessionId: s._id }); io.in(room).disconnectSockets(true); });
+  return sessions.length;
+}
+
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// banned accounts are refused everywhere; suspended ones until the suspension ends
+function accountStanding(user){
+  if(user.bannedAt) return { error:'account_banned', reason: user.moderationReason || null };
+  if(user.suspendedUntil && user.suspendedUntil > new Date()) return { error:'account_suspended', until: user.suspendedUntil, reason: user.moderationReason || null };
+  return null;
+}
+
+// verifies an access token and its session; { user, session } or { error }
+async function resolveAccessToken(token){
+  let payload;
+  try{ payload = jwt.verify(token, JWT_SECRET); }catch(err){ return { error: err.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token' }; }
+  if(!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) return { error:'invalid_token' };
+  const session = await Session.findOne({ _id: payload.sid, userId: payload.id, ...activeSessionFilter() }).lean();
+  if(!session) return { error:'session_revoked' };
+  const user = await User.findById(payload.id).lean();
+  if(!user || user.deletedAt) return { error:'invalid_token' };
+  const standing = accountStanding(user);
+  if(standing) return standing;
+  if(!session.lastUsedAt || Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  return { user, session };
+}
+
+async function authMiddleware(req,res,next){ const auth = req.headers.authorization || ''; const m = auth.match(/^Bearer (.+)$/i); if(!m) return res.status(401).json({ ok:false, error:'no_token' }); try{ const r = await resolveAccessToken(m[1]); if(r.error) return res.status(r.error.startsWith('account_') ? 403 : 401).json({ ok:false, ...r }); req.user = r.user; req.session = r.session; next(); }catch(err){ console.error('auth err', err); return res.status(500).json({ ok:false, error:'server_error' }); } }
+
+// password policy — enforced at registration and on password change
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  // bcrypt ignores everything past 72 bytes
+  maxLength: 72,
+  require: (process.env.PASSWORD_REQUIRE || 'letter,digit').split(',').map(r => r.trim()).filter(Boolean)
+};
+const PASSWORD_RULES = { letter: /\p{L}/u, digit: /\p{Nd}/u, upper: /\p{Lu}/u, lower: /\p{Ll}/u, symbol: /[^\p{L}\p{Nd}\s]/u };
+
+// first violated rule as an error code (`password_too_short`, `password_needs_digit`, ...) or null
+function checkPassword(password, username){
+  const pw = String(password || '');
+  if(pw.length < PASSWORD_POLICY.minLength) return 'password_too_short';
+  if(Buffer.byteLength(pw) > PASSWORD_POLICY.maxLength) return 'password_too_long';
+  for(const rule of PASSWORD_POLICY.require) if(PASSWORD_RULES[rule] && !PASSWORD_RULES[rule].test(pw)) return `password_needs_${rule}`;
+  if(username && pw.toLowerCase() === String(username).toLowerCase()) return 'password_same_as_username';
+  return null;
+}
+
+app.get('/auth/password-policy', (req,res)=> res.json({ ok:true, policy: PASSWORD_POLICY }));
 
 // auth endpoints (register/login/access) — unchanged except small fixes
-app.post('/auth/register', async (req,res)=>{ try{ const { username, password, displayName } = req.body || {}; if(!username || !password) return res.status(400).json({ ok:false, error:'missing_fields' }); const exists = await User.findOne({ username }); if(exists) return res.status(409).json({ ok:false, error:'username_exists' }); const hash = await bcrypt.hash(password, 10); const user = new User({ username, passwordHash: hash, displayName: displayName || username }); await user.save(); return res.json({ ok:true }); }catch(err){ console.error('register err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+app.post('/auth/register', requireSiteAccess, async (req,res)=>{ try{ const { username, password, displayName } = req.body || {}; if(!username || !password) return res.status(400).json({ ok:false, error:'missing_fields' }); const weak = checkPassword(password, username); if(weak) return res.status(400).json({ ok:false, error: weak, policy: PASSWORD_POLICY }); const exists = await User.findOne({ username }); if(exists) return res.status(409).json({ ok:false, error:'username_exists' }); const hash = await bcrypt.hash(password, 10); const user = new User({ username, passwordHash: hash, displayName: displayName || username }); await user.save(); return res.json({ ok:true }); }catch(err){ console.error('register err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/auth/login', requireSiteAccess, async (req,res)=>{ try{ const { username, password } = req.body || {}; if(!username || !password) return res.status(400).json({ ok:false, error:'missing_fields' }); const user = await User.findOne({ username, deletedAt: null }); if(!user) return res.status(401).json({ ok:false, error:'invalid credentials' }); const ok = await bcrypt.compare(password, user.passwordHash); if(!ok) return res.status(401).json({ ok:false, error:'invalid credentials' }); const standing = accountStanding(user); if(standing) return res.status(403).json({ ok:false, ...standing }); if(user.totp && user.totp.enabled) return res.json({ ok:true, twoFactorRequired:true, challenge: await createLoginChallenge(user) }); return res.json(await completeLogin(user, req, res)); }catch(err){ console.error('login err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/auth/access', siteAccessLimiter, (req,res)=>{ try{ const { sitePassword } = req.body || {}; if(!sitePassword) return res.status(400).json({ ok:false, error:'missing_password' }); if(sitePasswordMatches(sitePassword)){ res.cookie(SITE_ACCESS_COOKIE, `${Date.now() + SITE_ACCESS_TTL_MS}.${sitePasswordFingerprint()}`, { signed:true, httpOnly:true, sameSite:'lax', secure: req.secure, maxAge: SITE_ACCESS_TTL_MS }); return res.json({ ok:true }); } return res.status(401).json({ ok:false, error:'invalid_site_password' }); }catch(err){ console.error('access err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// rotates the refresh secret on every use; presenting an already-rotated secret revokes the session,
+// unless it was rotated moments ago by a concurrent refresh (that caller gets an access token and keeps the newer cookie)
+app.post('/auth/refresh', async (req,res)=>{
+  try{
+    const [sid, secret] = String(req.cookies[REFRESH_COOKIE] || '').split('.');
+    if(!secret || !mongoose.Types.ObjectId.isValid(sid)) return res.status(401).json({ ok:false, error:'invalid_refresh_token' });
+    const session = await Session.findOne({ _id: sid, ...activeSessionFilter() });
+    if(!session){ res.clearCookie(REFRESH_COOKIE, { path:'/auth' }); return res.status(401).json({ ok:false, error:'session_revoked' }); }
+    const hash = hashSecret(secret);
+    const raced = session.tokenHash !== hash && session.prevTokenHash === hash && session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+    if(session.tokenHash !== hash && !raced){ await revokeSessions({ _id: session._id }); res.clearCookie(REFRESH_COOKIE, { path:'/auth' }); return res.status(401).json({ ok:false, error:'session_revoked' }); }
+    const user = await User.findById(session.userId).lean();
+    if(!user) return res.status(401).json({ ok:false, error:'invalid_refresh_token' });
+    const standing = accountStanding(user);
+    if(standing) return res.status(403).json({ ok:false, ...standing });
+    if(!raced){
+      const next = crypto.randomBytes(32).toString('base64url');
+      session.prevTokenHash = session.tokenHash; session.tokenHash = hashSecret(next); session.rotatedAt = new Date();
+      session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+      setRefreshCookie(req, res, `${session._id}.${next}`, session.persistent);
+    }
+    session.lastUsedAt = new Date(); session.ip = req.ip;
+    await session.save();
+    return res.json({ ok:true, token: signToken(user, session._id), expiresIn: ACCESS_TOKEN_TTL_S, persistent: !!session.persistent });
+  }catch(err){ console.error('refresh err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// accepts the refresh cookie or the (possibly expired) access token, so a client can always sign itself out;
+// either one has to prove possession of the session, a bare session id is not enough
+app.post('/auth/logout', async (req,res)=>{
+  try{
+    let sid = null;
+    const [rsid, secret] = String(req.cookies[REFRESH_COOKIE] || '').split('.');
+    res.clearCookie(REFRESH_COOKIE, { path:'/auth' });
+    if(secret && mongoose.Types.ObjectId.isValid(rsid) && await Session.exists({ _id: rsid, tokenHash: hashSecret(secret) })) sid = rsid;
+    if(!sid){ const m = (req.headers.authorization || '').match(/^Bearer (.+)$/i); try{ sid = m ? jwt.verify(m[1], JWT_SECRET, { ignoreExpiration: true }).sid : null; }catch(e){ sid = null; } }
+    if(sid && mongoose.Types.ObjectId.isValid(sid)) await revokeSessions({ _id: sid });
+    return res.json({ ok:true });
+  }catch(err){ console.error('logout err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.get('/api/me', authMiddleware, async (req,res)=>{ try{ const u = await User.findById(req.user._id).select(PROFILE_FIELDS + ' role online lastSeenAt totp.enabled').lean(); const { totp, ...user } = u; return res.json({ ok:true, user: { ...user, twoFactorEnabled: !!(totp && totp.enabled) }, config: { reactionEmojis: REACTION_EMOJIS } }); }catch(err){ console.error('/api/me err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+function toClientSession(sess, currentId){ return { _id: sess._id, deviceName: sess.deviceName, ip: sess.ip, createdAt: sess.createdAt, lastUsedAt: sess.lastUsedAt, current: String(sess._id) === String(currentId) }; }
+
+app.get('/api/sessions', authMiddleware, async (req,res)=>{ try{ const list = await Session.find({ userId: req.user._id, ...activeSessionFilter() }).sort({ lastUsedAt: -1 }).lean(); return res.json({ ok:true, sessions: list.map(x => toClientSession(x, req.session._id)) }); }catch(err){ console.error('GET /api/sessions err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// without an id: sign out every other device
+app.delete('/api/sessions', authMiddleware, async (req,res)=>{ try{ const revoked = await revokeSessions({ userId: req.user._id, _id: { $ne: req.session._id } }); return res.json({ ok:true, revoked }); }catch(err){ console.error('DELETE /api/sessions err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.delete('/api/sessions/:id', authMiddleware, async (req,res)=>{ try{ if(!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ ok:false, error:'invalid_id' }); const revoked = await revokeSessions({ _id: req.params.id, userId: req.user._id }); if(!revoked) return res.status(404).json({ ok:false, error:'not_found' }); return res.json({ ok:true }); }catch(err){ console.error('DELETE /api/sessions/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// unread = messages from others after the caller's read position (one aggregate for the whole list)
+async function countUnread(userId, convs){
+  const uid = new mongoose.Types.ObjectId(String(userId));
+  const clauses = convs.map(c => { const rs = (c.readState || []).find(r => String(r.userId) === String(uid)); return rs && rs.lastReadAt ? { conversationId: c._id, createdAt: { $gt: rs.lastReadAt } } : { conversationId: c._id }; });
+  const counts = new Map();
+  if(!clauses.length) return counts;
+  const rows = await Message.aggregate([ { $match: { $or: clauses, senderId: { $ne: uid }, kind: { $ne: 'system' }, deletedForAll: { $ne: true }, hiddenFor: { $ne: uid } } }, { $group: { _id: '$conversationId', n: { $sum: 1 } } } ]);
+  rows.forEach(r => counts.set(String(r._id), r.n));
+  return counts;
+}
+
+// moves the read position forward only; returns the resulting unread count
+async function advanceReadPosition(convId, userId, at, messageId){
+  const entry = { userId, lastReadAt: at, lastReadMessageId: messageId || null };
+  const moved = await Conversation.updateOne({ _id: convId, readState: { $elemMatch: { userId, lastReadAt: { $lt: at } } } }, { $set: { 'readState.$.lastReadAt': at, 'readState.$.lastReadMessageId': entry.lastReadMessageId } });
+  if(!moved.matchedCount) await Conversation.updateOne({ _id: convId, 'readState.userId': { $ne: userId } }, { $push: { readState: entry } });
+  const conv = await Conversation.findById(convId).select('readState').lean();
+  const unread = (await countUnread(userId, [conv])).get(String(convId)) || 0;
+  const rs = (conv.readState || []).find(r => String(r.userId) === String(userId));
+  // the caller's other devices update their badges from this
+  emitToUser(userId, 'conversation:read', { conversationId: convId, lastReadAt: rs ? rs.lastReadAt : at, unreadCount: unread });
+  return unread;
+}
+
+async function markConversationRead(convId, userId){
+  const last = await Message.findOne({ conversationId: convId }).sort({ createdAt: -1, _id: -1 }).select('_id createdAt').lean();
+  return advanceReadPosition(convId, userId, last ? last.createdAt : new Date(), last ? last._id : null);
+}
+
+app.get('/api/conversations', authMiddleware, async (req,res)=>{ try{ const convs = await Conversation.find({ participants: req.user._id }).sort({ lastMessageAt: -1 }).limit(200).populate('participants', CONV_POPULATE).lean(); const unread = await countUnread(req.user._id, convs); const rel = await blockRelations(req.user._id); const by = new Set((await User.find({ blockedUsers: req.user._id }).select('_id').lean()).map(u => String(u._id))); const out = convs.map(({ readState, ...c }) => ({ ...c, unreadCount: unread.get(String(c._id)) || 0, blocked: c.type === 'private' && c.participants.some(p => p && rel.has(String(p._id))), blockedBy: c.type === 'private' && c.participants.some(p => p && by.has(String(p._id))) })); return res.json({ ok:true, conversations: out }); }catch(err){ console.error('GET /api/conversations err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/api/conversations/read-all', authMiddleware, async (req,res)=>{ try{ const convs = await Conversation.find({ participants: req.user._id }).select('_id').lean(); for(const c of convs) await markConversationRead(c._id, req.user._id); return res.json({ ok:true }); }catch(err){ console.error('POST /api/conversations/read-all err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/api/conversations/:id/read', authMiddleware, requireConversation('read'), async (req,res)=>{ try{ const unreadCount = await markConversationRead(req.params.id, req.user._id); return res.json({ ok:true, unreadCount }); }catch(err){ console.error('POST /api/conversations/:id/read err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/api/conversations', authMiddleware, async (req,res)=>{ try{ const { user, type } = req.body || {}; if(type === 'group') return await createGroup(req, res); if(!user) return res.status(400).json({ ok:false, error:'missing_user' }); let other = null; if(mongoose.Types.ObjectId.isValid(user)) other = await User.findById(user); else other = await User.findOne({ username: user }); if(!other || other.deletedAt) return res.status(404).json({ ok:false, error:'other_not_found' }); if(await isBlockedBetween(req.user._id, other._id)) return res.status(403).json({ ok:false, error:'blocked' }); let conv = await Conversation.findOne({ type: 'private', participants: { $all: [req.user._id, other._id] } }); if(!conv){ conv = new Conversation({ type:'private', participants:[req.user._id, other._id], title:'' }); await conv.save(); [req.user._id, other._id].forEach(id => joinUserSockets(id, conv._id)); } const populated = await Conversation.findById(conv._id).populate('participants', CONV_POPULATE).lean(); return res.json({ ok:true, conversation: populated }); }catch(err){ console.error('POST /api/conversations err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// group management — owner/admins control membership, title and avatar
+const GROUP_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS || '200', 10);
+const CONV_POPULATE = 'username displayName avatarUrl avatarThumbUrl';
+
+function hasId(list, id){ return (list || []).some(x => String(x && x._id ? x._id : x) === String(id)); }
+function isGroupAdmin(conv, userId){ return String(conv.ownerId) === String(userId) || hasId(conv.admins, userId); }
+
+const MESSAGE_TEXT_MAX = parseInt(process.env.MESSAGE_TEXT_MAX || '4000', 10);
+const MESSAGE_ATTACHMENTS_MAX = parseInt(process.env.MESSAGE_ATTACHMENTS_MAX || '10', 10);
+const REPLY_EXCERPT_LENGTH = 120;
+const REPLY_POPULATE = { path:'replyTo', select:'senderId text attachments deletedForAll', populate:{ path:'senderId', select:'username displayName' } };
+
+// populate everything toClientMessage expects (sender + quoted message)
+function withMessageRefs(query){ return query.populate('senderId', 'username displayName avatarUrl').populate(REPLY_POPULATE); }
+
+// compact snapshot of a quoted message; `deleted` when the original was removed for everyone (or is gone)
+function replySnapshot(r, replyId){
+  if(!r || r.deletedForAll) return { _id: r ? r._id : replyId, deleted: true };
+  const sender = r.senderId || {};
+  return { _id: r._id, from: sender._id || null, fromName: sender.displayName || sender.username || null, excerpt: String(r.text || '').slice(0, REPLY_EXCERPT_LENGTH), hasAttachment: !!(r.attachments && r.attachments.length), deleted: false };
+}
+
+// sent -> delivered (some recipient socket received it) -> seen (some recipient read it)
+function deliveryStatus(m){ if((m.seenBy || []).length) return 'seen'; if((m.deliveredTo || []).length) return 'delivered'; return 'sent'; }
+
+// hiddenFor and full revisions stay server-side; clients get a revision count and fetch history on demand
+function toClientMessage(m){ const { hiddenFor, revisions, ...rest } = m; if(m.replyTo){ const loaded = !(m.replyTo instanceof mongoose.Types.ObjectId); rest.replyTo = loaded ? m.replyTo._id : m.replyTo; rest.replyPreview = replySnapshot(loaded ? m.replyTo : null, rest.replyTo); } return { ...rest, status: deliveryStatus(m), revisionCount: (revisions || []).length, from: m.senderId ? m.senderId._id : null, fromName: m.senderId ? (m.senderId.displayName || m.senderId.username) : null, fromAvatar: m.senderId ? m.senderId.avatarUrl : null }; }
+
+async function resolveUserIds(list){ const ids = []; for(const u of (Array.isArray(list) ? list : [])){ const other = await User.findOne(mongoose.Types.ObjectId.isValid(u) ? { _id: u, deletedAt: null } : { username: u, deletedAt: null }).select('_id').lean(); if(other && !hasId(ids, other._id)) ids.push(other._id); } return ids; }
+
+// conversation access: every conversation-scoped REST route and socket event authorizes through here.
+// Being a participant is always required; each action adds a check returning an error code, or null when allowed.
+const CONVERSATION_ACTIONS = {
+  read: () => null,
+  post: async (conv, userId) => { if(conv.type !== 'private') return null; const other = conv.participants.find(p => String(p) !== String(userId)); return other && await isBlockedBetween(userId, other) ? 'blocked' : null; },
+  pin: (conv, userId) => conv.type !== 'group' || isGroupAdmin(conv, userId) ? null : 'not_allowed',
+  manage: (conv, userId) => conv.type === 'group' && isGroupAdmin(conv, userId) ? null : 'not_allowed',
+  own: (conv, userId) => conv.type === 'group' && String(conv.ownerId) === String(userId) ? null : 'not_allowed'
+};
+
+// a missing conversation answers like one the caller is not in, so ids can't be probed
+async function authorizeConversation(convId, userId, action = 'read'){
+  if(!mongoose.Types.ObjectId.isValid(convId)) return { error:'invalid_id', status:400 };
+  const conv = userId ? await Conversation.findById(convId) : null;
+  if(!conv || !hasId(conv.participants, userId)) return { error:'not_member', status:403 };
+  const error = await CONVERSATION_ACTIONS[action](conv, userId);
+  return error ? { error, status:403 } : { conv };
+}
+
+function requireConversation(action){ return async (req,res,next)=>{ try{ const r = await authorizeConversation(req.params.id, req.user._id, action); if(r.error) return res.status(r.status).json({ ok:false, error:r.error }); req.conversation = r.conv; return next(); }catch(err){ console.error('requireConversation err', err); return res.status(500).json({ ok:false, error:'server_error' }); } }; }
+
+async function loadGroup(req, res, action = 'read'){ const r = await authorizeConversation(req.params.id, req.user._id, action); if(r.error){ res.status(r.status).json({ ok:false, error:r.error }); return null; } if(r.conv.type !== 'group'){ res.status(404).json({ ok:false, error:'not_found' }); return null; } return r.conv; }
+
+async function emitConversationUpdate(convId){ const populated = await Conversation.findById(convId).populate('participants', CONV_POPULATE).lean(); if(populated) io.to(String(convId)).emit('conversation:updated', { conversation: populated }); return populated; }
 
-app.post('/auth/login', async (req,res)=>{ try{ const { username, password } = req.body || {}; if(!username || !password) return res.status(400).json({ ok:false, error:'missing_fields' }); const user = await User.findOne({ username }); if(!user) return res.status(401).json({ ok:false, error:'invalid credentials' }); const ok = await bcrypt.compare(password, user.passwordHash); if(!ok) return res.status(401).json({ ok:false, error:'invalid credentials' }); const token = signToken(user); await User.findByIdAndUpdate(user._id, { online: true, lastSeenAt: new Date() }); return res.json({ ok:true, token, user: { _id: user._id, username: user.username, displayName: user.displayName, avatarUrl: user.avatarUrl } }); }catch(err){ console.error('login err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+async function postSystemMessage(conv, action, actorId, userIds, title){ const msg = new Message({ conversationId: conv._id, senderId: actorId, kind:'system', system:{ action, actorId, userIds: userIds || [], title }, text:'' }); await msg.save(); await Conversation.findByIdAndUpdate(conv._id, { lastMessageAt: new Date() }); const populated = await Message.findById(msg._id).populate('senderId', CONV_POPULATE).populate('system.userIds', 'username displayName').lean(); const sendMsg = toClientMessage(populated); io.to(String(conv._id)).emit('private:message', { conversationId: conv._id, message: sendMsg }); return sendMsg; }
 
-app.post('/auth/access', (req,res)=>{ try{ const { sitePassword } = req.body || {}; if(!sitePassword) return res.status(400).json({ ok:false, error:'missing_password' }); if(SITE_PASSWORD && sitePassword === SITE_PASSWORD) return res.json({ ok:true }); return res.status(401).json({ ok:false, error:'invalid_site_password' }); }catch(err){ console.error('access err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+// every socket sits in `user:<id>`, so these reach a user's devices on any instance
+function userRoom(userId){ return `user:${userId}`; }
+function joinUserSockets(userId, convId){ io.in(userRoom(userId)).socketsJoin(String(convId)); }
+function emitToUser(userId, event, payload){ io.to(userRoom(userId)).emit(event, payload); }
+function leaveUserSockets(userId, convId){ io.in(userRoom(userId)).socketsLeave(String(convId)); io.to(userRoom(userId)).emit('conversation:removed', { conversationId: convId }); }
 
-app.get('/api/me', authMiddleware, async (req,res)=>{ try{ const u = await User.findById(req.user._id).select('_id username displayName avatarUrl online lastSeenAt').lean(); return res.json({ ok:true, user: u }); }catch(err){ console.error('/api/me err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+// group creation: POST /api/conversations { type:'group', title, members:[id|username] }
+async function createGroup(req, res){
+  const { title, members } = req.body || {};
+  const name = String(title || '').trim();
+  if(!name) return res.status(400).json({ ok:false, error:'missing_title' });
+  const others = (await resolveUserIds(members)).filter(id => String(id) !== String(req.user._id));
+  if(others.length + 1 > GROUP_MAX_MEMBERS) return res.status(400).json({ ok:false, error:'too_many_members' });
+  const rel = await blockRelations(req.user._id);
+  if(others.some(id => rel.has(String(id)))) return res.status(403).json({ ok:false, error:'blocked' });
+  const conv = new Conversation({ type:'group', title: name, participants:[req.user._id, ...others], ownerId: req.user._id, admins:[req.user._id], lastMessageAt: new Date() });
+  await conv.save();
+  [req.user._id, ...others].forEach(id => joinUserSockets(id, conv._id));
+  await postSystemMessage(conv, 'created', req.user._id, others, name);
+  const populated = await emitConversationUpdate(conv._id);
+  return res.json({ ok:true, conversation: populated });
+}
+
+app.patch('/api/conversations/:id', authMiddleware, async (req,res)=>{
+  try{
+    const conv = await loadGroup(req, res, 'manage'); if(!conv) return;
+    const title = String((req.body && req.body.title) || '').trim();
+    if(!title) return res.status(400).json({ ok:false, error:'missing_title' });
+    conv.title = title; await conv.save();
+    await postSystemMessage(conv, 'renamed', req.user._id, [], title);
+    const populated = await emitConversationUpdate(conv._id);
+    return res.json({ ok:true, conversation: populated });
+  }catch(err){ console.error('PATCH /api/conversations/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.post('/api/conversations/:id/avatar', authMiddleware, upload.single('file'), async (req,res)=>{
+  try{
+    if(!req.file) return res.status(400).json({ ok:false, error:'no_file' });
+    const conv = await loadGroup(req, res, 'manage'); if(!conv) return discardUpload(req.file.path);
+    const vetted = await vetUpload(req.file, ['image']);
+    if(vetted.error) return res.status(415).json({ ok:false, error: vetted.error === 'type_not_allowed' ? 'not_an_image' : vetted.error });
+    const rendered = await renderAvatar(vetted.path, GROUP_AVATAR_SIZES);
+    if(!rendered) return res.status(400).json({ ok:false, error:'invalid_image' });
+    const quota = await chargeUploadQuota(req.user._id, rendered.bytes);
+    if(quota.error){ await Promise.all(rendered.files.map(discardUpload)); return res.status(413).json({ ok:false, error: quota.error }); }
+    const prev = { avatarUrl: conv.avatarUrl }, prevUploader = conv.avatarUploadedBy;
+    conv.set({ ...rendered.set, avatarUploadedBy: req.user._id }); await conv.save();
+    await releaseAvatar(prevUploader, prev, GROUP_AVATAR_SIZES);
+    await postSystemMessage(conv, 'avatar_changed', req.user._id, []);
+    const populated = await emitConversationUpdate(conv._id);
+    return res.json({ ok:true, conversation: populated });
+  }catch(err){ console.error('POST /api/conversations/:id/avatar err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.post('/api/conversations/:id/members', authMiddleware, async (req,res)=>{
+  try{
+    const conv = await loadGroup(req, res, 'manage'); if(!conv) return;
+    const added = (await resolveUserIds((req.body || {}).users)).filter(id => !hasId(conv.participants, id));
+    if(!added.length) return res.status(400).json({ ok:false, error:'no_new_members' });
+    if(conv.participants.length + added.length > GROUP_MAX_MEMBERS) return res.status(400).json({ ok:false, error:'too_many_members' });
+    const rel = await blockRelations(req.user._id);
+    if(added.some(id => rel.has(String(id)))) return res.status(403).json({ ok:false, error:'blocked' });
+    conv.participants.push(...added); await conv.save();
+    added.forEach(id => joinUserSockets(id, conv._id));
+    await postSystemMessage(conv, 'members_added', req.user._id, added);
+    const populated = await emitConversationUpdate(conv._id);
+    return res.json({ ok:true, conversation: populated });
+  }catch(err){ console.error('POST /api/conversations/:id/members err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.delete('/api/conversations/:id/members/:userId', authMiddleware, async (req,res)=>{
+  try{
+    const conv = await loadGroup(req, res); if(!conv) return;
+    const target = req.params.userId;
+    if(!hasId(conv.participants, target)) return res.status(404).json({ ok:false, error:'not_member' });
+    if(String(target) === String(req.user._id)) return res.status(400).json({ ok:false, error:'use_leave' });
+    if(!isGroupAdmin(conv, req.user._id) || String(conv.ownerId) === String(target)) return res.status(403).json({ ok:false, error:'not_allowed' });
+    // only the owner may remove another admin
+    if(hasId(conv.admins, target) && String(conv.ownerId) !== String(req.user._id)) return res.status(403).json({ ok:false, error:'not_allowed' });
+    conv.participants = conv.participants.filter(id => String(id) !== String(target));
+    conv.admins = conv.admins.filter(id => String(id) !== String(target));
+    await conv.save();
+    await postSystemMessage(conv, 'member_removed', req.user._id, [target]);
+    leaveUserSockets(target, conv._id);
+    const populated = await emitConversationUpdate(conv._id);
+    return res.json({ ok:true, conversation: populated });
+  }catch(err){ console.error('DELETE /api/conversations/:id/members err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+async function leaveGroup(conv, userId){
+  const uid = String(userId);
+  conv.participants = conv.participants.filter(id => String(id) !== uid);
+  conv.admins = conv.admins.filter(id => String(id) !== uid);
+  // hand ownership to the next admin, or the longest-standing member
+  if(String(conv.ownerId) === uid) conv.ownerId = conv.admins[0] || conv.participants[0] || null;
+  if(conv.ownerId && !hasId(conv.admins, conv.ownerId)) conv.admins.push(conv.ownerId);
+  await conv.save();
+  await postSystemMessage(conv, 'member_left', userId, [userId]);
+  leaveUserSockets(uid, conv._id);
+  await emitConversationUpdate(conv._id);
+}
+
+app.post('/api/conversations/:id/leave', authMiddleware, async (req,res)=>{
+  try{
+    const conv = await loadGroup(req, res); if(!conv) return;
+    await leaveGroup(conv, req.user._id);
+    return res.json({ ok:true });
+  }catch(err){ console.error('POST /api/conversations/:id/leave err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.put('/api/conversations/:id/admins/:userId', authMiddleware, async (req,res)=>{
+  try{
+    const conv = await loadGroup(req, res, 'own'); if(!conv) return;
+    const target = req.params.userId;
+    if(!hasId(conv.participants, target)) return res.status(404).json({ ok:false, error:'not_member' });
+    const { admin } = req.body || {};
+    if(admin === false){ if(String(conv.ownerId) === String(target)) return res.status(400).json({ ok:false, error:'owner_is_admin' }); conv.admins = conv.admins.filter(id => String(id) !== String(target)); }
+    else if(!hasId(conv.admins, target)) conv.admins.push(target);
+    await conv.save();
+    await postSystemMessage(conv, admin === false ? 'admin_removed' : 'admin_added', req.user._id, [target]);
+    const populated = await emitConversationUpdate(conv._id);
+    return res.json({ ok:true, conversation: populated });
+  }catch(err){ console.error('PUT /api/conversations/:id/admins err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// message history, paged by cursor: ?before=<messageId|ISO date> for older, ?after=... for newer,
+// ?around=<messageId> for a window centred on one message (search hits), ?limit=N.
+// Without a cursor the latest page is returned. Messages are always oldest-first.
+const HISTORY_PAGE_DEFAULT = 50;
+const HISTORY_PAGE_MAX = 200;
+
+async function resolveCursor(convId, value){
+  if(!value) return null;
+  if(mongoose.Types.ObjectId.isValid(value)){ const m = await Message.findOne({ _id: value, conversationId: convId }).select('_id createdAt').lean(); return m ? { createdAt: m.createdAt, _id: m._id } : undefined; }
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? undefined : { createdAt: d, _id: null };
+}
+
+function cursorFilter(cursor, dir){
+  const op = dir === 'before' ? '$lt' : '$gt';
+  if(!cursor._id) return { createdAt: { [op]: cursor.createdAt } };
+  return { $or: [ { createdAt: { [op]: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { [op]: cursor._id } } ] };
+}
+
+// one page of `filter` in `dir`; fetches an extra row to know whether another page exists
+async function fetchHistoryPage(filter, dir, limit){
+  const order = dir === 'after' ? 1 : -1;
+  const msgs = await withMessageRefs(Message.find(filter).sort({ createdAt: order, _id: order }).limit(limit + 1)).lean();
+  const page = msgs.slice(0, limit);
+  if(order === -1) page.reverse();
+  return { page, hasMore: msgs.length > limit };
+}
+
+app.get('/api/conversations/:id/messages', authMiddleware, requireConversation('read'), async (req,res)=>{
+  try{
+    const convId = req.params.id;
+    const { before, after, around } = req.query;
+    if([before, after, around].filter(Boolean).length > 1) return res.status(400).json({ ok:false, error:'invalid_cursor' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || HISTORY_PAGE_DEFAULT, 1), HISTORY_PAGE_MAX);
+    const cursor = await resolveCursor(convId, before || after || around);
+    if(cursor === undefined || (around && !cursor._id)) return res.status(400).json({ ok:false, error:'invalid_cursor' });
+    const base = { conversationId: convId, hiddenFor: { $ne: req.user._id } };
+    if(around){
+      const half = Math.floor(limit / 2);
+      const older = await fetchHistoryPage({ ...base, ...cursorFilter(cursor, 'before') }, 'before', half);
+      const newer = await fetchHistoryPage({ ...base, $or: [ { _id: cursor._id }, ...cursorFilter(cursor, 'after').$or ] }, 'after', limit - half);
+      return res.json({ ok:true, messages: older.page.concat(newer.page).map(toClientMessage), hasMore: older.hasMore, hasNewer: newer.hasMore });
+    }
+    const dir = after ? 'after' : 'before';
+    const { page, hasMore } = await fetchHistoryPage({ ...base, ...(cursor ? cursorFilter(cursor, dir) : {}) }, dir, limit);
+    return res.json({ ok:true, messages: page.map(toClientMessage), hasMore });
+  }catch(err){ console.error('GET messages err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// full-text search over messages in the caller's conversations.
+// ?q=&conversationId=&senderId=&from=<ISO>&to=<ISO>&page=&limit=
+const SEARCH_PAGE_DEFAULT = 20;
+const SEARCH_PAGE_MAX = 50;
+
+app.get('/api/search', authMiddleware, async (req,res)=>{
+  try{
+    const q = String(req.query.q || '').trim();
+    if(!q) return res.status(400).json({ ok:false, error:'missing_query' });
+    const { conversationId, senderId, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_DEFAULT, 1), SEARCH_PAGE_MAX);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const convs = await Conversation.find({ participants: req.user._id }).select('_id').lean();
+    let convIds = convs.map(c => c._id);
+    if(conversationId){ if(!hasId(convIds, conversationId)) return res.status(403).json({ ok:false, error:'not_member' }); convIds = [conversationId]; }
+    const filter = { $text: { $search: q }, conversationId: { $in: convIds }, kind: { $ne: 'system' }, deletedForAll: { $ne: true }, hiddenFor: { $ne: req.user._id } };
+    if(senderId){ if(!mongoose.Types.ObjectId.isValid(senderId)) return res.status(400).json({ ok:false, error:'invalid_sender' }); filter.senderId = senderId; }
+    if(from || to){
+      filter.createdAt = {};
+      if(from){ const d = new Date(from); if(isNaN(d.getTime())) return res.status(400).json({ ok:false, error:'invalid_date' }); filter.createdAt.$gte = d; }
+      if(to){ const d = new Date(to); if(isNaN(d.getTime())) return res.status(400).json({ ok:false, error:'invalid_date' }); filter.createdAt.$lte = d; }
+    }
+    const msgs = await withMessageRefs(Message.find(filter, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, createdAt: -1 }).skip((page - 1) * limit).limit(limit + 1)).lean();
+    return res.json({ ok:true, results: msgs.slice(0, limit).map(toClientMessage), page, hasMore: msgs.length > limit });
+  }catch(err){ console.error('GET /api/search err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// user directory: prefix match on username or display name; users blocked in either direction never appear
+const USER_SEARCH_PAGE_DEFAULT = 20;
+const USER_SEARCH_PAGE_MAX = 50;
+
+function escapeRegex(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+app.get('/api/users/search', authMiddleware, async (req,res)=>{
+  try{
+    const q = String(req.query.q || '').trim();
+    if(!q) return res.status(400).json({ ok:false, error:'missing_query' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || USER_SEARCH_PAGE_DEFAULT, 1), USER_SEARCH_PAGE_MAX);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const prefix = new RegExp('^' + escapeRegex(q), 'i');
+    const filter = { $or: [ { username: prefix }, { displayName: prefix } ], _id: { $nin: [req.user._id, ...(req.user.blockedUsers || [])] }, blockedUsers: { $ne: req.user._id }, deletedAt: null };
+    const users = await User.find(filter).select(PROFILE_FIELDS + ' online lastSeenAt').sort({ username: 1 }).skip((page - 1) * limit).limit(limit + 1).lean();
+    return res.json({ ok:true, users: users.slice(0, limit).map(u => ({ ...publicProfile(u), online: !!u.online, lastSeenAt: u.lastSeenAt })), page, hasMore: users.length > limit });
+  }catch(err){ console.error('GET /api/users/search err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// blocking — a block in either direction stops private messages, typing and presence between the two users;
+// groups they share keep working
+async function isBlockedBetween(a, b){ return !!(await User.exists({ $or: [ { _id: a, blockedUsers: b }, { _id: b, blockedUsers: a } ] })); }
+
+// ids of everyone `userId` blocked or was blocked by
+async function blockRelations(userId){
+  const [u, by] = await Promise.all([ User.findById(userId).select('blockedUsers').lean(), User.find({ blockedUsers: userId }).select('_id').lean() ]);
+  return new Set([ ...((u && u.blockedUsers) || []).map(String), ...by.map(x => String(x._id)) ]);
+}
+
+function userRooms(userIds){ return [...userIds].map(userRoom); }
+
+app.get('/api/blocks', authMiddleware, async (req,res)=>{ try{ const u = await User.findById(req.user._id).select('blockedUsers').populate('blockedUsers', PROFILE_FIELDS).lean(); return res.json({ ok:true, users: ((u && u.blockedUsers) || []).map(publicProfile) }); }catch(err){ console.error('GET /api/blocks err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+async function setBlocked(req, res, on){
+  const target = req.params.userId;
+  if(!mongoose.Types.ObjectId.isValid(target)) return res.status(400).json({ ok:false, error:'invalid_id' });
+  if(String(target) === String(req.user._id)) return res.status(400).json({ ok:false, error:'cannot_block_self' });
+  if(!(await User.exists({ _id: target }))) return res.status(404).json({ ok:false, error:'not_found' });
+  await User.updateOne({ _id: req.user._id }, on ? { $addToSet: { blockedUsers: target } } : { $pull: { blockedUsers: target } });
+  // the caller's other devices update their header/notice
+  emitToUser(req.user._id, 'user:blocked', { userId: target, blocked: on });
+  return res.json({ ok:true, userId: target, blocked: on });
+}
+
+app.put('/api/blocks/:userId', authMiddleware, async (req,res)=>{ try{ return await setBlocked(req, res, true); }catch(err){ console.error('PUT /api/blocks err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.delete('/api/blocks/:userId', authMiddleware, async (req,res)=>{ try{ return await setBlocked(req, res, false); }catch(err){ console.error('DELETE /api/blocks err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+async function editMessage(messageId, userId, text){
+  const body = typeof text === 'string' ? text.trim() : '';
+  if(!body) return { error:'empty_text', status:400 };
+  if(body.length > MESSAGE_TEXT_MAX) return { error:'text_too_long', status:400 };
+  if(!mongoose.Types.ObjectId.isValid(messageId)) return { error:'invalid_id', status:400 };
+  const msg = await Message.findById(messageId);
+  if(!msg) return { error:'not_found', status:404 };
+  if(String(msg.senderId) !== String(userId) || msg.kind === 'system' || msg.deletedForAll) return { error:'not_allowed', status:403 };
+  if((await authorizeConversation(msg.conversationId, userId, 'post')).error) return { error:'not_allowed', status:403 };
+  if(EDIT_WINDOW_MS && Date.now() - msg.createdAt.getTime() > EDIT_WINDOW_MS) return { error:'edit_window_expired', status:403 };
+  if(body === msg.text) return { error:'unchanged', status:400 };
+  msg.revisions.push({ text: msg.text, createdAt: msg.editedAt || msg.createdAt });
+  msg.text = body; msg.editedAt = new Date();
+  await msg.save();
+  const populated = await withMessageRefs(Message.findById(msg._id)).lean();
+  const payload = toClientMessage(populated);
+  io.to(String(msg.conversationId)).emit('message:edited', payload);
+  // the conversation list previews the newest message, so editing it must update the preview
+  if(!await Message.exists({ conversationId: msg.conversationId, kind: { $ne: 'system' }, deletedForAll: { $ne: true }, createdAt: { $gt: msg.createdAt } })) await refreshConversationPreview(msg.conversationId);
+  return { message: payload };
+}
+
+// forward: copy messages (text + existing attachment URLs, no re-upload) into other conversations.
+// The caller must be able to read every source and be a participant of every target.
+const FORWARD_MAX_MESSAGES = 50;
+const FORWARD_MAX_TARGETS = 20;
+
+async function forwardMessages(userId, messageIds, targetIds){
+  if(!userId) return { error:'not_authenticated', status:401 };
+  const ids = [].concat(messageIds || []).map(String);
+  const targets = [...new Set([].concat(targetIds || []).map(String))];
+  if(!ids.length || !targets.length) return { error:'missing_fields', status:400 };
+  if(ids.length > FORWARD_MAX_MESSAGES || targets.length > FORWARD_MAX_TARGETS) return { error:'too_many', status:400 };
+  if(!ids.concat(targets).every(id => mongoose.Types.ObjectId.isValid(id))) return { error:'invalid_id', status:400 };
+
+  const sources = await Message.find({ _id: { $in: ids }, kind: { $ne: 'system' }, deletedForAll: { $ne: true }, hiddenFor: { $ne: userId } }).sort({ createdAt: 1, _id: 1 }).populate('senderId', 'username displayName').lean();
+  if(sources.length !== new Set(ids).size) return { error:'not_found', status:404 };
+  const sourceConvs = [...new Set(sources.map(m => String(m.conversationId)))];
+  for(const convId of sourceConvs){ const r = await authorizeConversation(convId, userId, 'read'); if(r.error) return { error:'not_allowed', status:403 }; }
+  for(const convId of targets){ const r = await authorizeConversation(convId, userId, 'post'); if(r.error) return r.error === 'blocked' ? r : { error:'not_allowed', status:403 }; }
+
+  const created = [];
+  for(const convId of targets){
+    for(const src of sources){
+      const origin = src.forwardedFrom && src.forwardedFrom.messageId ? src.forwardedFrom : { messageId: src._id, senderId: src.senderId ? src.senderId._id : null, senderName: src.senderId ? (src.senderId.displayName || src.senderId.username) : null, conversationId: src.conversationId };
+      const msg = new Message({ conversationId: convId, senderId: userId, text: src.text || '', attachments: src.attachments || [], forwardedFrom: origin });
+      await msg.save();
+      const populated = await withMessageRefs(Message.findById(msg._id)).lean();
+      const sendMsg = toClientMessage(populated);
+      io.to(String(convId)).emit('private:message', { conversationId: convId, message: sendMsg });
+      created.push(sendMsg);
+    }
+    const last = sources[sources.length - 1];
+    await Conversation.findByIdAndUpdate(convId, { lastMessageText: last.text || '', lastMessageAt: new Date() });
+  }
+  return { messages: created };
+}
+
+app.post('/api/messages/forward', authMiddleware, async (req,res)=>{ try{ const { messageIds, targetConversationIds } = req.body || {}; const r = await forwardMessages(req.user._id, messageIds, targetConversationIds); if(r.error) return res.status(r.status).json({ ok:false, error:r.error }); return res.json({ ok:true, messages: r.messages }); }catch(err){ console.error('POST /api/messages/forward err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// pins: ordered oldest-first, the latest pin is last. In groups only admins may pin.
+const PINS_MAX = 50;
+
+async function loadPins(convId){
+  const conv = await Conversation.findById(convId).select('pinnedMessageIds').lean();
+  if(!conv) return [];
+  const msgs = await withMessageRefs(Message.find({ _id: { $in: conv.pinnedMessageIds || [] } })).lean();
+  const byId = new Map(msgs.map(m => [String(m._id), toClientMessage(m)]));
+  return (conv.pinnedMessageIds || []).map(id => byId.get(String(id))).filter(Boolean);
+}
+
+async function emitPins(convId){ const pins = await loadPins(convId); io.to(String(convId)).emit('conversation:pins', { conversationId: convId, pins }); return pins; }
+
+// convId (optional) must match the message's conversation
+async function setPin(messageId, userId, on, convId){
+  if(!mongoose.Types.ObjectId.isValid(messageId)) return { error:'invalid_id', status:400 };
+  const msg = await Message.findById(messageId).select('conversationId deletedForAll kind').lean();
+  if(!msg || (convId && String(msg.conversationId) !== String(convId))) return { error:'not_found', status:404 };
+  const access = await authorizeConversation(msg.conversationId, userId, 'pin');
+  if(access.error) return access;
+  const conv = access.conv;
+  if(on){
+    if(msg.deletedForAll || msg.kind === 'system') return { error:'not_allowed', status:403 };
+    if(hasId(conv.pinnedMessageIds, msg._id)) return { pins: await loadPins(conv._id) };
+    if(conv.pinnedMessageIds.length >= PINS_MAX) return { error:'too_many_pins', status:400 };
+    await Conversation.updateOne({ _id: conv._id }, { $push: { pinnedMessageIds: msg._id } });
+  } else {
+    await Conversation.updateOne({ _id: conv._id }, { $pull: { pinnedMessageIds: msg._id } });
+  }
+  return { conversationId: conv._id, pins: await emitPins(conv._id) };
+}
+
+app.get('/api/conversations/:id/pins', authMiddleware, requireConversation('read'), async (req,res)=>{ try{ return res.json({ ok:true, pins: await loadPins(req.params.id) }); }catch(err){ console.error('GET /api/conversations/:id/pins err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.put('/api/conversations/:id/pins/:messageId', authMiddleware, async (req,res)=>{ try{ const r = await setPin(req.params.messageId, req.user._id, true, req.params.id); if(r.error) return res.status(r.status).json({ ok:false, error:r.error }); return res.json({ ok:true, pins: r.pins }); }catch(err){ console.error('PUT /api/conversations/:id/pins err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.delete('/api/conversations/:id/pins/:messageId', authMiddleware, async (req,res)=>{ try{ const r = await setPin(req.params.messageId, req.user._id, false, req.params.id); if(r.error) return res.status(r.status).json({ ok:false, error:r.error }); return res.json({ ok:true, pins: r.pins }); }catch(err){ console.error('DELETE /api/conversations/:id/pins err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// reactions: emoji -> [userId]; only emoji from the allowlist are accepted
+const REACTION_EMOJIS = (process.env.REACTION_EMOJIS || '👍,❤️,😂,😮,😢,🙏,🔥,👎').split(',').map(e => e.trim()).filter(Boolean);
+
+async function setReaction(messageId, userId, emoji, on){
+  if(!userId) return { error:'not_authenticated' };
+  if(!REACTION_EMOJIS.includes(emoji)) return { error:'invalid_emoji' };
+  if(!mongoose.Types.ObjectId.isValid(messageId)) return { error:'invalid_id' };
+  const msg = await Message.findById(messageId).select('conversationId deletedForAll kind').lean();
+  if(!msg) return { error:'not_found' };
+  if(msg.deletedForAll || msg.kind === 'system') return { error:'not_allowed' };
+  const access = await authorizeConversation(msg.conversationId, userId, 'post');
+  if(access.error) return { error: access.error };
+  const key = `reactions.${emoji}`;
+  let updated = await Message.findByIdAndUpdate(messageId, on ? { $addToSet: { [key]: userId } } : { $pull: { [key]: userId } }, { new:true }).select('reactions').lean();
+  // drop emoji nobody uses any more so the map stays small
+  if(!on && updated && updated.reactions && updated.reactions[emoji] && !updated.reactions[emoji].length) updated = await Message.findByIdAndUpdate(messageId, { $unset: { [key]: 1 } }, { new:true }).select('reactions').lean();
+  const reactions = (updated && updated.reactions) || {};
+  io.to(String(msg.conversationId)).emit('message:reactions', { conversationId: msg.conversationId, messageId, reactions });
+  return { reactions };
+}
+
+app.put('/api/messages/:id', authMiddleware, async (req,res)=>{ try{ const { text } = req.body || {}; const r = await editMessage(req.params.id, req.user._id, text); if(r.error) return res.status(r.status).json({ ok:false, error:r.error }); return res.json({ ok:true, message: r.message }); }catch(err){ console.error('PUT /api/messages/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// revisions oldest-first, followed by the current text; participants only
+app.get('/api/messages/:id/history', authMiddleware, async (req,res)=>{
+  try{
+    if(!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ ok:false, error:'invalid_id' });
+    const msg = await Message.findById(req.params.id).select('conversationId text createdAt editedAt revisions deletedForAll').lean();
+    if(!msg) return res.status(404).json({ ok:false, error:'not_found' });
+    const access = await authorizeConversation(msg.conversationId, req.user._id, 'read');
+    if(access.error) return res.status(access.status).json({ ok:false, error:access.error });
+    if(msg.deletedForAll) return res.status(410).json({ ok:false, error:'deleted' });
+    return res.json({ ok:true, messageId: msg._id, revisions: msg.revisions || [], current: { text: msg.text, createdAt: msg.editedAt || msg.createdAt } });
+  }catch(err){ console.error('GET /api/messages/:id/history err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
 
-app.get('/api/conversations', authMiddleware, async (req,res)=>{ try{ const convs = await Conversation.find({ participants: req.user._id }).sort({ lastMessageAt: -1 }).limit(200).populate('participants', 'username displayName avatarUrl').lean(); return res.json({ ok:true, conversations: convs }); }catch(err){ console.error('GET /api/conversations err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+// the conversation-list preview follows the newest message that still has content
+async function refreshConversationPreview(convId){
+  const last = await Message.findOne({ conversationId: convId, kind: { $ne: 'system' }, deletedForAll: { $ne: true } }).sort({ createdAt: -1, _id: -1 }).select('text').lean();
+  const lastMessageText = last ? (last.text || '') : '';
+  await Conversation.updateOne({ _id: convId }, { $set: { lastMessageText } });
+  io.to(String(convId)).emit('conversation:updated', { conversation: { _id: convId, lastMessageText } });
+}
 
-app.post('/api/conversations', authMiddleware, async (req,res)=>{ try{ const { user } = req.body || {}; if(!user) return res.status(400).json({ ok:false, error:'missing_user' }); let other = null; if(mongoose.Types.ObjectId.isValid(user)) other = await User.findById(user); else other = await User.findOne({ username: user }); if(!other) return res.status(404).json({ ok:false, error:'other_not_found' }); let conv = await Conversation.findOne({ type: 'private', participants: { $all: [req.user._id, other._id] } }); if(!conv){ conv = new Conversation({ type:'private', participants:[req.user._id, other._id], title:'' }); await conv.save(); } const populated = await Conversation.findById(conv._id).populate('participants', 'username displayName avatarUrl').lean(); return res.json({ ok:true, conversation: populated }); }catch(err){ console.error('POST /api/conversations err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+// blanks a message document for every participant; also used by moderators
+async function removeForEveryone(msg){
+  msg.deleted = true; msg.deletedForAll = true; msg.text = ''; msg.attachments = []; msg.revisions = []; msg.reactions = new Map();
+  await msg.save();
+  io.to(String(msg.conversationId)).emit('message:deleted', { conversationId: msg.conversationId, messageId: msg._id, deletedForAll: true });
+  await refreshConversationPreview(msg.conversationId);
+  const unpinned = await Conversation.updateOne({ _id: msg.conversationId, pinnedMessageIds: msg._id }, { $pull: { pinnedMessageIds: msg._id } });
+  if(unpinned.modifiedCount) await emitPins(msg.conversationId);
+}
 
-app.get('/api/conversations/:id/messages', authMiddleware, async (req,res)=>{ try{ const convId = req.params.id; const msgs = await Message.find({ conversationId: convId }).sort({ createdAt: 1 }).limit(1000).populate('senderId', 'username displayName avatarUrl').lean(); const out = msgs.map(m => ({ ...m, from: m.senderId ? m.senderId._id : null, fromName: m.senderId ? (m.senderId.displayName || m.senderId.username) : null, fromAvatar: m.senderId ? m.senderId.avatarUrl : null })); return res.json({ ok:true, messages: out }); }catch(err){ console.error('GET messages err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+// "delete for everyone" blanks the shared document and leaves a placeholder (sender only, optionally time-boxed);
+// "delete for me" hides the message for the caller alone and only their own sockets are told
+async function deleteMessage(messageId, userId, forAll){
+  if(!mongoose.Types.ObjectId.isValid(messageId)) return { error:'invalid_id', status:400 };
+  const msg = await Message.findById(messageId);
+  if(!msg) return { error:'not_found', status:404 };
+  if((await authorizeConversation(msg.conversationId, userId, 'read')).error) return { error:'not_allowed', status:403 };
+  if(forAll){
+    if(String(msg.senderId) !== String(userId)) return { error:'not_allowed', status:403 };
+    if(DELETE_FOR_ALL_WINDOW_MS && Date.now() - msg.createdAt.getTime() > DELETE_FOR_ALL_WINDOW_MS) return { error:'delete_window_expired', status:403 };
+    await removeForEveryone(msg);
+    return {};
+  }
+  await Message.updateOne({ _id: msg._id }, { $addToSet: { hiddenFor: userId } });
+  emitToUser(userId, 'message:deleted', { conversationId: msg.conversationId, messageId: msg._id, deletedForAll: false });
+  return {};
+}
 
-app.put('/api/messages/:id', authMiddleware, async (req,res)=>{ try{ const id = req.params.id; const { text } = req.body || {}; const msg = await Message.findById(id); if(!msg) return res.status(404).json({ ok:false, error:'not_found' }); if(String(msg.senderId) !== String(req.user._id)) return res.status(403).json({ ok:false, error:'not_allowed' }); msg.text = text; msg.editedAt = new Date(); await msg.save(); const populated = await Message.findById(msg._id).populate('senderId', 'username displayName avatarUrl').lean(); const payload = { ...populated, from: populated.senderId ? populated.senderId._id : null, fromName: populated.senderId ? (populated.senderId.displayName || populated.senderId.username) : null, fromAvatar: populated.senderId ? populated.senderId.avatarUrl : null }; io.to(String(msg.conversationId)).emit('message:edited', payload); return res.json({ ok:true, message: payload }); }catch(err){ console.error('PUT /api/messages/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+app.delete('/api/messages/:id', authMiddleware, async (req,res)=>{ try{ const { forEveryone } = req.body || {}; const r = await deleteMessage(req.params.id, req.user._id, !!forEveryone); if(r.error) return res.status(r.status).json({ ok:false, error:r.error }); return res.json({ ok:true }); }catch(err){ console.error('DELETE /api/messages/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
 
-app.delete('/api/messages/:id', authMiddleware, async (req,res)=>{ try{ const id = req.params.id; const { forEveryone } = req.body || {}; const msg = await Message.findById(id); if(!msg) return res.status(404).json({ ok:false, error:'not_found' }); if(forEveryone){ if(String(msg.senderId) !== String(req.user._id)) return res.status(403).json({ ok:false, error:'not_allowed' }); msg.deleted = true; msg.deletedForAll = true; msg.text = ''; await msg.save(); io.to(String(msg.conversationId)).emit('message:deleted', { conversationId: msg.conversationId, messageId: msg._id, deletedForAll: true }); } else { msg.deleted = true; await msg.save(); io.to(String(msg.conversationId)).emit('message:deleted', { conversationId: msg.conversationId, messageId: msg._id, deletedForAll: false }); } return res.json({ ok:true }); }catch(err){ console.error('DELETE /api/messages/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+// image pipeline: re-encode without EXIF/GPS (sharp drops metadata unless asked to keep it),
+// apply EXIF orientation, and write a preview, a thumbnail and a blurred placeholder next to the original
+const IMAGE_PREVIEW_SIZE = 1280;
+const IMAGE_THUMB_SIZE = 480;
+const IMAGE_PLACEHOLDER_SIZE = 16;
+
+async function processImage(filePath, mime){
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, path.extname(filePath));
+  // animated GIFs keep their original bytes; variants come from the first frame
+  if(mime !== 'image/gif'){
+    const tmp = filePath + '.tmp';
+    await sharp(filePath).rotate().toFile(tmp);
+    await fs.promises.rename(tmp, filePath);
+  }
+  const meta = await sharp(filePath).metadata();
+  const previewPath = path.join(dir, `${base}-preview.webp`);
+  const thumbPath = path.join(dir, `${base}-thumb.webp`);
+  await sharp(filePath).rotate().resize(IMAGE_PREVIEW_SIZE, IMAGE_PREVIEW_SIZE, { fit:'inside', withoutEnlargement:true }).webp({ quality: 80 }).toFile(previewPath);
+  await sharp(filePath).rotate().resize(IMAGE_THUMB_SIZE, IMAGE_THUMB_SIZE, { fit:'inside', withoutEnlargement:true }).webp({ quality: 70 }).toFile(thumbPath);
+  const tiny = await sharp(filePath).rotate().resize(IMAGE_PLACEHOLDER_SIZE, IMAGE_PLACEHOLDER_SIZE, { fit:'inside' }).blur().jpeg({ quality: 40 }).toBuffer();
+  const size = (await fs.promises.stat(filePath)).size;
+  return { width: meta.width, height: meta.height, size, previewUrl: uploadUrl(previewPath), thumbUrl: uploadUrl(thumbPath), placeholder: `data:image/jpeg;base64,${tiny.toString('base64')}` };
+}
 
 // Upload route: expects field name `file` and returns { ok:true, attachment }
-app.post('/upload/media', authMiddleware, upload.single('file'), (req,res)=>{
+app.post('/upload/media', authMiddleware, upload.single('file'), async (req,res)=>{
   try{
     if(!req.file) return res.status(400).json({ ok:false, error:'no_file' });
-    const url = `/${UPLOADS_REL}/${path.basename(req.file.path)}`.replace(/\\/g,'/');
-    const att = { url, name: req.file.originalname, size: req.file.size, mime: req.file.mimetype };
-    return res.json({ ok:true, attachment: att });
+    const vetted = await vetUpload(req.file);
+    if(vetted.error) return res.status(415).json({ ok:false, error: vetted.error });
+    const att = { url: uploadUrl(vetted.path), name: req.file.originalname, size: req.file.size, mime: vetted.mime };
+    const files = [vetted.path];
+    if(vetted.category === 'image'){
+      try{ Object.assign(att, await processImage(vetted.path, vetted.mime)); files.push(...[att.previewUrl, att.thumbUrl].map(u => path.join(UPLOADS_DIR, path.basename(u)))); }
+      catch(err){ console.warn('image processing failed', err.message); await discardUpload(vetted.path); return res.status(400).json({ ok:false, error:'invalid_image' }); }
+    }
+    // variants count against the quota too
+    let bytes = 0;
+    for(const f of files) bytes += (await fs.promises.stat(f)).size;
+    const quota = await chargeUploadQuota(req.user._id, bytes);
+    if(quota.error){ await Promise.all(files.map(discardUpload)); return res.status(413).json({ ok:false, error: quota.error }); }
+    const record = await Upload.create({ userId: req.user._id, attachment: att });
+    return res.json({ ok:true, uploadId: record._id, attachment: att });
   }catch(err){ console.error('upload err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
 });
 
-const socketUser = new Map();
-const userSockets = new Map();
+// adds `uid` to deliveredTo/seenBy of others' messages and pushes the new state to each sender's sockets.
+// Seen implies delivered.
+async function recordReceipt(convId, uid, ids, field){
+  const changed = await Message.find({ _id: { $in: ids }, conversationId: convId, senderId: { $ne: uid }, [field]: { $ne: uid } }).select('_id').lean();
+  if(!changed.length) return;
+  const update = field === 'seenBy' ? { $addToSet: { seenBy: uid, deliveredTo: uid } } : { $addToSet: { deliveredTo: uid } };
+  await Message.updateMany({ _id: { $in: changed.map(m => m._id) } }, update);
+  const msgs = await Message.find({ _id: { $in: changed.map(m => m._id) } }).select('_id senderId deliveredTo seenBy').lean();
+  msgs.forEach(m => emitToUser(m.senderId, 'message:status', { conversationId: convId, messageId: m._id, status: deliveryStatus(m), deliveredTo: m.deliveredTo, seenBy: m.seenBy }));
+}
 
-async function setOnline(userId, socketId){ socketUser.set(socketId, String(userId)); if(!userSockets.has(String(userId))) userSockets.set(String(userId), new Set()); userSockets.get(String(userId)).add(socketId); await User.findByIdAndUpdate(userId, { online:true, lastSeenAt: new Date() }); io.emit('user:online', { userId }); }
+app.get('/api/me/storage', authMiddleware, async (req,res)=>{ try{ const u = await User.findById(req.user._id).select('storageUsedBytes uploadDay').lean(); const today = new Date().toISOString().slice(0, 10); return res.json({ ok:true, storage: { usedBytes: u.storageUsedBytes || 0, totalQuotaBytes: UPLOAD_TOTAL_QUOTA_BYTES, dailyUsedBytes: u.uploadDay && u.uploadDay.date === today ? u.uploadDay.bytes : 0, dailyQuotaBytes: UPLOAD_DAILY_QUOTA_BYTES, maxFileBytes: UPLOAD_MAX_FILE_BYTES, categories: UPLOAD_CATEGORIES } }); }catch(err){ console.error('GET /api/me/storage err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
 
-async function setOffline(userId, socketId){ socketUser.delete(socketId); if(userSockets.has(String(userId))){ const s = userSockets.get(String(userId)); s.delete(socketId); if(s.size === 0){ userSockets.delete(String(userId)); const lastSeen = new Date(); await User.findByIdAndUpdate(userId, { online:false, lastSeenAt: lastSeen }); io.emit('user:offline', { userId, lastSeenAt: lastSeen }); } } }
+// profile — name/bio/username edits and avatar uploads are pushed to everyone who shares a conversation
+const PROFILE_FIELDS = '_id username displayName bio avatarUrl avatarThumbUrl';
+const USERNAME_RE = /^[A-Za-z0-9_.]{3,32}$/;
+const DISPLAY_NAME_MAX = 64;
+const BIO_MAX = 280;
+// [size, field]: avatars are square-cropped to each size
+const AVATAR_SIZES = [[256, 'avatarUrl'], [64, 'avatarThumbUrl']];
+const GROUP_AVATAR_SIZES = [[256, 'avatarUrl']];
 
-io.on('connection', (socket) => {
+function publicProfile(u){ return { _id: u._id, username: u.username, displayName: u.displayName, bio: u.bio || '', avatarUrl: u.avatarUrl, avatarThumbUrl: u.avatarThumbUrl }; }
+
+async function broadcastProfile(userId){
+  const u = await User.findById(userId).select(PROFILE_FIELDS).lean();
+  if(!u) return null;
+  const convs = await Conversation.find({ participants: userId }).select('_id').lean();
+  const targets = convs.map(c => String(c._id)).concat(userRoom(userId));
+  io.to(targets).emit('user:updated', { user: publicProfile(u) });
+  return u;
+}
+
+app.patch('/api/me', authMiddleware, async (req,res)=>{
+  try{
+    const { displayName, bio, username } = req.body || {};
+    const set = {};
+    if(displayName !== undefined){
+      const v = String(displayName).trim();
+      if(!v || v.length > DISPLAY_NAME_MAX) return res.status(400).json({ ok:false, error:'invalid_display_name' });
+      set.displayName = v;
+    }
+    if(bio !== undefined){
+      const v = String(bio).trim();
+      if(v.length > BIO_MAX) return res.status(400).json({ ok:false, error:'bio_too_long' });
+      set.bio = v;
+    }
+    if(username !== undefined && String(username).trim() !== req.user.username){
+      const v = String(username).trim();
+      if(!USERNAME_RE.test(v)) return res.status(400).json({ ok:false, error:'invalid_username' });
+      if(await User.exists({ username: v, _id: { $ne: req.user._id } })) return res.status(409).json({ ok:false, error:'username_exists' });
+      set.username = v;
+    }
+    if(!Object.keys(set).length) return res.status(400).json({ ok:false, error:'nothing_to_update' });
+    try{ await User.updateOne({ _id: req.user._id }, { $set: set }); }
+    catch(err){ if(err && err.code === 11000) return res.status(409).json({ ok:false, error:'username_exists' }); throw err; }
+    const u = await broadcastProfile(req.user._id);
+    return res.json({ ok:true, user: publicProfile(u) });
+  }catch(err){ console.error('PATCH /api/me err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// the sniffed original is only the source for the cropped sizes and is not kept; returns { set, files, bytes } or null
+async function renderAvatar(srcPath, sizes){
+  const base = srcPath.slice(0, -path.extname(srcPath).length);
+  const set = {}, files = [];
+  try{
+    for(const [size, field] of sizes){
+      const out = `${base}-avatar${size}.webp`;
+      await sharp(srcPath).rotate().resize(size, size, { fit:'cover', position: sharp.strategy.attention }).webp({ quality: 85 }).toFile(out);
+      files.push(out); set[field] = uploadUrl(out);
+    }
+  }catch(err){ console.warn('avatar processing failed', err.message); await Promise.all(files.concat(srcPath).map(discardUpload)); return null; }
+  await discardUpload(srcPath);
+  let bytes = 0;
+  for(const f of files) bytes += (await fs.promises.stat(f)).size;
+  return { set, files, bytes };
+}
+
+app.post('/api/me/avatar', authMiddleware, upload.single('file'), async (req,res)=>{
+  try{
+    if(!req.file) return res.status(400).json({ ok:false, error:'no_file' });
+    const vetted = await vetUpload(req.file, ['image']);
+    if(vetted.error) return res.status(415).json({ ok:false, error: vetted.error === 'type_not_allowed' ? 'not_an_image' : vetted.error });
+    const rendered = await renderAvatar(vetted.path, AVATAR_SIZES);
+    if(!rendered) return res.status(400).json({ ok:false, error:'invalid_image' });
+    const { set, files, bytes } = rendered;
+    const quota = await chargeUploadQuota(req.user._id, bytes);
+    if(quota.error){ await Promise.all(files.map(discardUpload)); return res.status(413).json({ ok:false, error: quota.error }); }
+    const prev = await User.findByIdAndUpdate(req.user._id, { $set: set }).select('avatarUrl avatarThumbUrl').lean();
+    await releaseAvatar(req.user._id, prev);
+    const u = await broadcastProfile(req.user._id);
+    return res.json({ ok:true, user: publicProfile(u) });
+  }catch(err){ console.error('POST /api/me/avatar err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// deletes a replaced avatar's files and gives their bytes back to the quota of whoever uploaded it (if known)
+async function releaseAvatar(userId, prev, sizes = AVATAR_SIZES){
+  let freed = 0;
+  for(const [, field] of sizes){
+    const url = prev && prev[field];
+    if(!url || !url.startsWith('/uploads/')) continue;
+    const file = path.join(UPLOADS_DIR, path.basename(url));
+    try{ freed += (await fs.promises.stat(file)).size; await fs.promises.unlink(file); }catch(e){}
+  }
+  if(freed && userId) await User.updateOne({ _id: userId, deletedAt: null }, { $inc: { storageUsedBytes: -freed } });
+}
+
+// account — password change and deletion both require the current password
+app.post('/api/me/password', authMiddleware, async (req,res)=>{
+  try{
+    const { currentPassword, newPassword } = req.body || {};
+    if(!currentPassword || !newPassword) return res.status(400).json({ ok:false, error:'missing_fields' });
+    if(!(await bcrypt.compare(String(currentPassword), req.user.passwordHash))) return res.status(403).json({ ok:false, error:'wrong_password' });
+    const weak = checkPassword(newPassword, req.user.username);
+    if(weak) return res.status(400).json({ ok:false, error: weak, policy: PASSWORD_POLICY });
+    if(await bcrypt.compare(String(newPassword), req.user.passwordHash)) return res.status(400).json({ ok:false, error:'password_unchanged' });
+    await User.updateOne({ _id: req.user._id }, { $set: { passwordHash: await bcrypt.hash(String(newPassword), 10) } });
+    const revoked = await revokeSessions({ userId: req.user._id, _id: { $ne: req.session._id } });
+    return res.json({ ok:true, revokedSessions: revoked });
+  }catch(err){ console.error('POST /api/me/password err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+const DELETED_ACCOUNT_NAME = 'حساب حذف‌شده';
+
+function uploadFilesOf(att){ return [att.url, att.previewUrl, att.thumbUrl].filter(u => u && u.startsWith('/uploads/')).map(u => path.join(UPLOADS_DIR, path.basename(u))); }
+
+// the user document stays as an anonymous tombstone so message threads keep a sender; everything identifying goes
+app.delete('/api/me', authMiddleware, async (req,res)=>{
+  try{
+    const { password } = req.body || {};
+    if(!password) return res.status(400).json({ ok:false, error:'missing_password' });
+    if(!(await bcrypt.compare(String(password), req.user.passwordHash))) return res.status(403).json({ ok:false, error:'wrong_password' });
+    const uid = req.user._id;
+    // uploads: attachments of the user's messages, uploads never sent, and their avatar. Forwards reuse the
+    // original file, so a file another sender's message still points at stays on disk
+    const withFiles = await Message.find({ senderId: uid, 'attachments.0': { $exists: true } }).select('attachments').lean();
+    const uploads = await Upload.find({ userId: uid }).select('attachment').lean();
+    const byUrl = new Map(withFiles.flatMap(m => m.attachments).concat(uploads.map(u => u.attachment)).filter(att => att && att.url).map(att => [att.url, att]));
+    for(const att of byUrl.values()){
+      if(await Message.exists({ 'attachments.url': att.url, senderId: { $ne: uid } })) continue;
+      await Promise.all(uploadFilesOf(att).map(discardUpload));
+    }
+    await Message.updateMany({ senderId: uid, 'attachments.0': { $exists: true } }, { $set: { attachments: [] } });
+    await releaseAvatar(uid, req.user);
+    await Message.updateMany({ 'forwardedFrom.senderId': uid }, { $set: { 'forwardedFrom.senderName': DELETED_ACCOUNT_NAME } });
+    await User.updateOne({ _id: uid }, { $set: { username: `deleted_${uid}`, displayName: DELETED_ACCOUNT_NAME, bio: '', deletedAt: new Date(), online: false, storageUsedBytes: 0 }, $unset: { passwordHash: 1, avatarUrl: 1, avatarThumbUrl: 1, uploadDay: 1, blockedUsers: 1, totp: 1 } });
+    await User.updateMany({ blockedUsers: uid }, { $pull: { blockedUsers: uid } });
+    await broadcastProfile(uid);
+    const convs = await Conversation.find({ participants: uid });
+    for(const conv of convs){
+      if(conv.type === 'group'){ await leaveGroup(conv, uid); continue; }
+      await Conversation.updateOne({ _id: conv._id }, { $pull: { participants: uid, readState: { userId: uid } } });
+      leaveUserSockets(uid, conv._id);
+      await emitConversationUpdate(conv._id);
+    }
+    await revokeSessions({ userId: uid });
+    await Session.deleteMany({ userId: uid });
+    await Notice.deleteMany({ userId: uid });
+    await Upload.deleteMany({ userId: uid });
+    return res.json({ ok:true });
+  }catch(err){ console.error('DELETE /api/me err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// two-factor authentication — RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 s steps), implemented locally
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Eclipse Chat';
+const TOTP_STEP_S = 30;
+const TOTP_DIGITS = 6;
+// accepted clock drift, in steps either side
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf){
+  let bits = 0, value = 0, out = '';
+  for(const byte of buf){ value = (value << 8) | byte; bits += 8; while(bits >= 5){ out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]; bits -= 5; } }
+  if(bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str){
+  let bits = 0, value = 0; const out = [];
+  for(const ch of String(str).toUpperCase().replace(/=+$/, '')){ const idx = BASE32_ALPHABET.indexOf(ch); if(idx < 0) continue; value = (value << 5) | idx; bits += 5; if(bits >= 8){ out.push((value >>> (bits - 8)) & 255); bits -= 8; } }
+  return Buffer.from(out);
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function hotp(secret, counter){
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const h = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const off = h[h.length - 1] & 15;
+  const bin = ((h[off] & 127) << 24) | (h[off + 1] << 16) | (h[off + 2] << 8) | h[off + 3];
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// the matching time step, or null
+function verifyTotp(secret, code, now = Date.now()){
+  const c = String(code || '').replace(/\s/g, '');
+  if(!secret || !/^\d{6}$/.test(c)) return null;
+  const step = Math.floor(now / 1000 / TOTP_STEP_S);
+  for(let d = -TOTP_WINDOW; d <= TOTP_WINDOW; d++) if(crypto.timingSafeEqual(Buffer.from(hotp(secret, step + d)), Buffer.from(c))) return step + d;
+  return null;
+}
+
+function otpauthUri(username, secret){ const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`); return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_S}`; }
+
+function normalizeRecoveryCode(code){ return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, ''); }
+
+function newRecoveryCodes(){ const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-')); return { codes, hashes: codes.map(c => hashSecret(normalizeRecoveryCode(c))) }; }
+
+// a TOTP code (each step usable once) or an unused recovery code (consumed); true when accepted
+async function consumeSecondFactor(user, code){
+  const step = verifyTotp(user.totp && user.totp.secret, code);
+  if(step !== null){
+    const r = await User.updateOne({ _id: user._id, $or: [ { 'totp.lastStep': { $lt: step } }, { 'totp.lastStep': null } ] }, { $set: { 'totp.lastStep': step } });
+    return r.modifiedCount > 0;
+  }
+  const hash = hashSecret(normalizeRecoveryCode(code));
+  const r = await User.updateOne({ _id: user._id, 'totp.recoveryCodes': hash }, { $pull: { 'totp.recoveryCodes': hash } });
+  return r.modifiedCount > 0;
+}
+
+async function completeLogin(user, req, res){
+  const tokens = await createSession(user, req, res);
+  await User.findByIdAndUpdate(user._id, { online: true, lastSeenAt: new Date() });
+  return { ok:true, ...tokens, user: publicProfile(user) };
+}
+
+async function createLoginChallenge(user){
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const ch = await LoginChallenge.create({ userId: user._id, tokenHash: hashSecret(secret), expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS) });
+  return `${ch._id}.${secret}`;
+}
+
+app.post('/auth/login/2fa', requireSiteAccess, async (req,res)=>{
+  try{
+    const { challenge, code } = req.body || {};
+    const [cid, secret] = String(challenge || '').split('.');
+    if(!secret || !code || !mongoose.Types.ObjectId.isValid(cid)) return res.status(400).json({ ok:false, error:'missing_fields' });
+    // every submission spends an attempt, right or wrong
+    const ch = await LoginChallenge.findOneAndUpdate({ _id: cid, tokenHash: hashSecret(secret), expiresAt: { $gt: new Date() }, attempts: { $lt: LOGIN_CHALLENGE_MAX_ATTEMPTS } }, { $inc: { attempts: 1 } }, { new: true });
+    if(!ch) return res.status(401).json({ ok:false, error:'challenge_expired' });
+    const user = await User.findOne({ _id: ch.userId, deletedAt: null });
+    if(!user || !(user.totp && user.totp.enabled)) return res.status(401).json({ ok:false, error:'challenge_expired' });
+    const standing = accountStanding(user);
+    if(standing) return res.status(403).json({ ok:false, ...standing });
+    if(!(await consumeSecondFactor(user, code))) return res.status(401).json({ ok:false, error:'invalid_code', attemptsLeft: LOGIN_CHALLENGE_MAX_ATTEMPTS - ch.attempts });
+    await LoginChallenge.deleteOne({ _id: ch._id });
+    return res.json(await completeLogin(user, req, res));
+  }catch(err){ console.error('login 2fa err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// enrolment: setup (password) -> confirm (first code) -> recovery codes shown once
+app.post('/api/me/2fa/setup', authMiddleware, async (req,res)=>{
+  try{
+    const { password } = req.body || {};
+    if(!password || !(await bcrypt.compare(String(password), req.user.passwordHash))) return res.status(403).json({ ok:false, error:'wrong_password' });
+    if(req.user.totp && req.user.totp.enabled) return res.status(409).json({ ok:false, error:'already_enabled' });
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: req.user._id }, { $set: { 'totp.pendingSecret': secret, 'totp.enabled': false } });
+    return res.json({ ok:true, secret, otpauthUri: otpauthUri(req.user.username, secret) });
+  }catch(err){ console.error('POST /api/me/2fa/setup err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.post('/api/me/2fa/confirm', authMiddleware, async (req,res)=>{
+  try{
+    const pending = req.user.totp && req.user.totp.pendingSecret;
+    if(!pending) return res.status(400).json({ ok:false, error:'no_pending_setup' });
+    const step = verifyTotp(pending, (req.body || {}).code);
+    if(step === null) return res.status(400).json({ ok:false, error:'invalid_code' });
+    const { codes, hashes } = newRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { totp: { enabled: true, secret: pending, lastStep: step, recoveryCodes: hashes } } });
+    return res.json({ ok:true, recoveryCodes: codes });
+  }catch(err){ console.error('POST /api/me/2fa/confirm err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.post('/api/me/2fa/recovery-codes', authMiddleware, async (req,res)=>{
+  try{
+    if(!(req.user.totp && req.user.totp.enabled)) return res.status(400).json({ ok:false, error:'not_enabled' });
+    if(!(await consumeSecondFactor(req.user, (req.body || {}).code))) return res.status(400).json({ ok:false, error:'invalid_code' });
+    const { codes, hashes } = newRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'totp.recoveryCodes': hashes } });
+    return res.json({ ok:true, recoveryCodes: codes });
+  }catch(err){ console.error('POST /api/me/2fa/recovery-codes err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.delete('/api/me/2fa', authMiddleware, async (req,res)=>{
+  try{
+    const { password, code } = req.body || {};
+    if(!(req.user.totp && req.user.totp.enabled)) return res.status(400).json({ ok:false, error:'not_enabled' });
+    if(!password || !(await bcrypt.compare(String(password), req.user.passwordHash))) return res.status(403).json({ ok:false, error:'wrong_password' });
+    if(!(await consumeSecondFactor(req.user, code))) return res.status(400).json({ ok:false, error:'invalid_code' });
+    await User.updateOne({ _id: req.user._id }, { $unset: { totp: 1 } });
+    return res.json({ ok:true });
+  }catch(err){ console.error('DELETE /api/me/2fa err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// administration — the console is admin-only; moderators get the report queue (/api/admin/reports) alone
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+const ADMIN_PAGE_DEFAULT = 30;
+const ADMIN_PAGE_MAX = 100;
+const ADMIN_USER_FIELDS = PROFILE_FIELDS + ' role online lastSeenAt createdAt suspendedUntil bannedAt moderationReason deletedAt';
+
+function requireRole(minRole){ return (req,res,next) => (ROLE_RANK[req.user.role] || 0) >= ROLE_RANK[minRole] ? next() : res.status(403).json({ ok:false, error:'forbidden' }); }
+
+const MODERATOR_ROUTES = /^\/reports(\/|$)/;
+app.use('/api/admin', authMiddleware, (req,res,next) => requireRole(MODERATOR_ROUTES.test(req.path) ? 'moderator' : 'admin')(req,res,next));
+
+// staff can only act on users ranked below them
+function outranks(actor, target){ return (ROLE_RANK[actor.role] || 0) > (ROLE_RANK[target.role] || 0); }
+
+// the target of a moderation action
+async function loadModerationTarget(req, res){
+  if(!mongoose.Types.ObjectId.isValid(req.params.id)){ res.status(400).json({ ok:false, error:'invalid_id' }); return null; }
+  const target = await User.findOne({ _id: req.params.id, deletedAt: null });
+  if(!target){ res.status(404).json({ ok:false, error:'not_found' }); return null; }
+  if(!outranks(req.user, target)){ res.status(403).json({ ok:false, error:'forbidden' }); return null; }
+  return target;
+}
+
+app.get('/api/admin/users', async (req,res)=>{
+  try{
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_PAGE_DEFAULT, 1), ADMIN_PAGE_MAX);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const filter = { deletedAt: null };
+    const q = String(req.query.q || '').trim();
+    if(q){ const prefix = new RegExp('^' + escapeRegex(q), 'i'); filter.$or = [ { username: prefix }, { displayName: prefix } ]; if(mongoose.Types.ObjectId.isValid(q)) filter.$or.push({ _id: q }); }
+    if(ROLE_RANK[req.query.role] !== undefined) filter.role = req.query.role;
+    if(req.query.status === 'banned') filter.bannedAt = { $ne: null };
+    if(req.query.status === 'suspended') filter.suspendedUntil = { $gt: new Date() };
+    const users = await User.find(filter).select(ADMIN_USER_FIELDS).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit + 1).lean();
+    return res.json({ ok:true, users: users.slice(0, limit), page, hasMore: users.length > limit });
+  }catch(err){ console.error('GET /api/admin/users err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// suspension ends by itself; `hours` defaults to one day
+app.post('/api/admin/users/:id/suspend', async (req,res)=>{
+  try{
+    const target = await loadModerationTarget(req, res); if(!target) return;
+    const hours = parseFloat((req.body || {}).hours) || 24;
+    if(hours <= 0) return res.status(400).json({ ok:false, error:'invalid_duration' });
+    target.suspendedUntil = new Date(Date.now() + hours * 60 * 60 * 1000); target.moderationReason = String((req.body || {}).reason || '').slice(0, 500);
+    await target.save();
+    await revokeSessions({ userId: target._id });
+    return res.json({ ok:true, suspendedUntil: target.suspendedUntil });
+  }catch(err){ console.error('POST /api/admin/users/:id/suspend err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.delete('/api/admin/users/:id/suspend', async (req,res)=>{ try{ const target = await loadModerationTarget(req, res); if(!target) return; await User.updateOne({ _id: target._id }, { $unset: { suspendedUntil: 1 } }); return res.json({ ok:true }); }catch(err){ console.error('DELETE /api/admin/users/:id/suspend err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/api/admin/users/:id/ban', async (req,res)=>{
+  try{
+    const target = await loadModerationTarget(req, res); if(!target) return;
+    target.bannedAt = new Date(); target.moderationReason = String((req.body || {}).reason || '').slice(0, 500);
+    await target.save();
+    await revokeSessions({ userId: target._id });
+    return res.json({ ok:true, bannedAt: target.bannedAt });
+  }catch(err){ console.error('POST /api/admin/users/:id/ban err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.delete('/api/admin/users/:id/ban', async (req,res)=>{ try{ const target = await loadModerationTarget(req, res); if(!target) return; await User.updateOne({ _id: target._id }, { $unset: { bannedAt: 1, moderationReason: 1 } }); return res.json({ ok:true }); }catch(err){ console.error('DELETE /api/admin/users/:id/ban err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+// revokes every session, which also disconnects the user's live sockets
+app.post('/api/admin/users/:id/logout', async (req,res)=>{ try{ const target = await loadModerationTarget(req, res); if(!target) return; const revoked = await revokeSessions({ userId: target._id }); return res.json({ ok:true, revoked }); }catch(err){ console.error('POST /api/admin/users/:id/logout err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.put('/api/admin/users/:id/role', async (req,res)=>{
+  try{
+    const role = (req.body || {}).role;
+    if(ROLE_RANK[role] === undefined || role === 'admin') return res.status(400).json({ ok:false, error:'invalid_role' });
+    const target = await loadModerationTarget(req, res); if(!target) return;
+    target.role = role; await target.save();
+    return res.json({ ok:true, role });
+  }catch(err){ console.error('PUT /api/admin/users/:id/role err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.delete('/api/admin/messages/:id', async (req,res)=>{
+  try{
+    if(!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ ok:false, error:'invalid_id' });
+    const msg = await Message.findById(req.params.id);
+    if(!msg) return res.status(404).json({ ok:false, error:'not_found' });
+    if(!msg.deletedForAll) await removeForEveryone(msg);
+    return res.json({ ok:true });
+  }catch(err){ console.error('DELETE /api/admin/messages/:id err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// reports — users flag messages or users; staff triage the queue and reporters are told the outcome
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'sexual', 'illegal', 'other'];
+const REPORT_NOTE_MAX = 1000;
+const REPORT_RESOLUTIONS = { dismiss: 'dismissed', delete_message: 'message_deleted', warn: 'warned', ban: 'banned' };
+
+async function notify(userId, kind, data){
+  const notice = await Notice.create({ userId, kind, data });
+  emitToUser(userId, 'notice', { notice: notice.toObject() });
+  return notice;
+}
+
+app.post('/api/reports', authMiddleware, async (req,res)=>{
+  try{
+    const { messageId, userId, reason, note } = req.body || {};
+    if(!REPORT_REASONS.includes(reason)) return res.status(400).json({ ok:false, error:'invalid_reason' });
+    const report = { reporterId: req.user._id, reason, note: String(note || '').trim().slice(0, REPORT_NOTE_MAX) };
+    if(messageId){
+      if(!mongoose.Types.ObjectId.isValid(messageId)) return res.status(400).json({ ok:false, error:'invalid_id' });
+      const msg = await Message.findOne({ _id: messageId, kind: { $ne: 'system' }, deletedForAll: { $ne: true } }).populate('senderId', 'username displayName').lean();
+      if(!msg) return res.status(404).json({ ok:false, error:'not_found' });
+      // only what the reporter could actually see can be reported
+      if((await authorizeConversation(msg.conversationId, req.user._id, 'read')).error) return res.status(403).json({ ok:false, error:'not_member' });
+      const sender = msg.senderId || {};
+      if(String(sender._id) === String(req.user._id)) return res.status(400).json({ ok:false, error:'cannot_report_self' });
+      Object.assign(report, { messageId: msg._id, conversationId: msg.conversationId, targetUserId: sender._id, snapshot: { text: msg.text, attachments: msg.attachments, senderId: sender._id, senderName: sender.displayName || sender.username, createdAt: msg.createdAt } });
+    }else{
+      if(!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ ok:false, error:'invalid_id' });
+      if(String(userId) === String(req.user._id)) return res.status(400).json({ ok:false, error:'cannot_report_self' });
+      if(!(await User.exists({ _id: userId, deletedAt: null }))) return res.status(404).json({ ok:false, error:'not_found' });
+      report.targetUserId = userId;
+    }
+    const dup = await Report.exists({ reporterId: req.user._id, status: 'open', targetUserId: report.targetUserId, messageId: report.messageId || null });
+    if(dup) return res.status(409).json({ ok:false, error:'already_reported' });
+    const created = await Report.create(report);
+    return res.json({ ok:true, reportId: created._id });
+  }catch(err){ console.error('POST /api/reports err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+app.get('/api/notices', authMiddleware, async (req,res)=>{ try{ const notices = await Notice.find({ userId: req.user._id, readAt: null }).sort({ createdAt: 1 }).limit(50).lean(); return res.json({ ok:true, notices }); }catch(err){ console.error('GET /api/notices err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.post('/api/notices/:id/read', authMiddleware, async (req,res)=>{ try{ if(!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ ok:false, error:'invalid_id' }); await Notice.updateOne({ _id: req.params.id, userId: req.user._id }, { $set: { readAt: new Date() } }); return res.json({ ok:true }); }catch(err){ console.error('POST /api/notices/:id/read err', err); return res.status(500).json({ ok:false, error:'server_error' }); } });
+
+app.get('/api/admin/reports', async (req,res)=>{
+  try{
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_PAGE_DEFAULT, 1), ADMIN_PAGE_MAX);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+    const reports = await Report.find({ status }).sort({ createdAt: status === 'open' ? 1 : -1 }).skip((page - 1) * limit).limit(limit + 1).populate('reporterId', 'username displayName').populate('targetUserId', ADMIN_USER_FIELDS).populate('resolvedBy', 'username displayName').lean();
+    return res.json({ ok:true, reports: reports.slice(0, limit), page, hasMore: reports.length > limit });
+  }catch(err){ console.error('GET /api/admin/reports err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// resolving one report closes every open report about the same message (or the same user, for user reports)
+app.post('/api/admin/reports/:id/resolve', async (req,res)=>{
+  try{
+    const { action, note } = req.body || {};
+    if(!REPORT_RESOLUTIONS[action]) return res.status(400).json({ ok:false, error:'invalid_action' });
+    if(!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ ok:false, error:'invalid_id' });
+    const report = await Report.findOne({ _id: req.params.id, status: 'open' });
+    if(!report) return res.status(404).json({ ok:false, error:'not_found' });
+    const moderatorNote = String(note || '').trim().slice(0, REPORT_NOTE_MAX);
+    const target = report.targetUserId ? await User.findById(report.targetUserId) : null;
+    if(action !== 'dismiss' && action !== 'delete_message' && target && !outranks(req.user, target)) return res.status(403).json({ ok:false, error:'forbidden' });
+    if(action === 'delete_message'){
+      const msg = report.messageId ? await Message.findById(report.messageId) : null;
+      if(!msg) return res.status(400).json({ ok:false, error:'no_message' });
+      const sender = await User.findById(msg.senderId).select('role').lean();
+      if(sender && req.user.role !== 'admin' && !outranks(req.user, sender)) return res.status(403).json({ ok:false, error:'forbidden' });
+      if(!msg.deletedForAll) await removeForEveryone(msg);
+    }
+    if(action === 'warn' && target) await notify(target._id, 'warning', { reason: report.reason, note: moderatorNote, snapshot: report.snapshot ? { text: report.snapshot.text } : null });
+    if(action === 'ban' && target){
+      target.bannedAt = new Date(); target.moderationReason = moderatorNote || report.reason;
+      await target.save();
+      await revokeSessions({ userId: target._id });
+    }
+    const same = report.messageId ? { messageId: report.messageId } : { targetUserId: report.targetUserId, messageId: null };
+    const related = await Report.find({ ...same, status: 'open' }).select('_id reporterId reason').lean();
+    const resolution = REPORT_RESOLUTIONS[action];
+    await Report.updateMany({ _id: { $in: related.map(r => r._id) } }, { $set: { status: 'resolved', resolution, resolvedBy: req.user._id, resolvedAt: new Date(), moderatorNote } });
+    for(const r of related) await notify(r.reporterId, 'report_resolved', { reportId: r._id, reason: r.reason, resolution });
+    return res.json({ ok:true, resolved: related.length, resolution });
+  }catch(err){ console.error('POST /api/admin/reports/:id/resolve err', err); return res.status(500).json({ ok:false, error:'server_error' }); }
+});
+
+// multer rejects oversize files before any route code runs
+app.use((err, req, res, next) => { if(err instanceof multer.MulterError){ if(req.file) discardUpload(req.file.path); return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ ok:false, error: err.code === 'LIMIT_FILE_SIZE' ? 'file_too_large' : 'upload_error' }); } return next(err); });
+
+// presence store: which sockets each user has open, across every instance. Both implementations share one interface:
+//   add(userId, socketId), remove(userId, socketId) → true when that was the user's last socket,
+//   heartbeat() keeps this instance alive, sweep() → users whose only sockets lived on instances that stopped beating.
+function createMemoryPresence(){
+  const sockets = new Map();
+  return {
+    async add(userId, socketId){ const uid = String(userId); if(!sockets.has(uid)) sockets.set(uid, new Set()); sockets.get(uid).add(socketId); },
+    async remove(userId, socketId){ const uid = String(userId), s = sockets.get(uid); if(!s || !s.delete(socketId) || s.size) return false; sockets.delete(uid); return true; },
+    async heartbeat(){},
+    async sweep(){ return []; }
+  };
+}
+
+// Redis layout: `presence:user:<uid>` hash socketId → instance, `presence:sockets:<instance>` set of "uid sid",
+// `presence:alive:<instance>` expires unless heartbeats renew it, `presence:instances` lists instances to check.
+function createRedisPresence(client, instanceId){
+  const userKey = uid => `presence:user:${uid}`;
+  const socketsKey = id => `presence:sockets:${id}`;
+  const aliveKey = id => `presence:alive:${id}`;
+  return {
+    async add(userId, socketId){ await client.multi().hSet(userKey(userId), socketId, instanceId).sAdd(socketsKey(instanceId), `${userId} ${socketId}`).exec(); },
+    async remove(userId, socketId){
+      const [removed, left] = await client.multi().hDel(userKey(userId), socketId).hLen(userKey(userId)).sRem(socketsKey(instanceId), `${userId} ${socketId}`).exec();
+      return removed > 0 && left === 0;
+    },
+    async heartbeat(){ await client.multi().set(aliveKey(instanceId), '1', { expiration: { type:'PX', value: PRESENCE_HEARTBEAT_MS * 3 } }).sAdd('presence:instances', instanceId).exec(); },
+    async sweep(){
+      const offline = [];
+      for(const id of await client.sMembers('presence:instances')){
+        if(id === instanceId || await client.exists(aliveKey(id))) continue;
+        // whoever removes the dead instance from the list does its cleanup
+        if(!(await client.sRem('presence:instances', id))) continue;
+        for(const entry of await client.sMembers(socketsKey(id))){
+          const [uid, sid] = entry.split(' ');
+          const [removed, left] = await client.multi().hDel(userKey(uid), sid).hLen(userKey(uid)).exec();
+          if(removed > 0 && left === 0) offline.push(uid);
+        }
+        await client.del(socketsKey(id));
+        console.warn(`presence: cleared instance ${id}, ${offline.length} user(s) now offline`);
+      }
+      return offline;
+    }
+  };
+}
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+let presence = createMemoryPresence();
+
+async function setOnline(userId, socketId){ await presence.add(userId, socketId); await User.findByIdAndUpdate(userId, { online:true, lastSeenAt: new Date() }); io.except(userRooms(await blockRelations(userId))).emit('user:online', { userId }); }
+
+async function markOffline(userId){ const lastSeen = new Date(); await User.findByIdAndUpdate(userId, { online:false, lastSeenAt: lastSeen }); io.except(userRooms(await blockRelations(userId))).emit('user:offline', { userId, lastSeenAt: lastSeen }); }
+
+async function setOffline(userId, socketId){ if(await presence.remove(userId, socketId)) await markOffline(userId); }
+
+// socket flood control: one token bucket per user and event, written `burst/perMinute`.
+// SOCKET_RATE_LIMITS overrides single events, e.g. "private:message=10/30,typing=20/120".
+const SOCKET_RATE_DEFAULTS = { 'private:message':'20/60', 'message:edit':'10/30', 'message:delete':'20/60', 'message:forward':'5/10', 'message:pin':'10/30', 'message:unpin':'10/30', 'message:react':'30/120', 'message:unreact':'30/120', 'message:delivered':'60/600', 'message:seen':'60/600', 'conversation:read':'30/120', 'typing':'20/120', 'private:join':'500/600', 'private:leave':'500/600', 'presence:ping':'5/10' };
+const SOCKET_RATE_LIMITS = parseRateLimits(Object.assign({}, SOCKET_RATE_DEFAULTS, Object.fromEntries((process.env.SOCKET_RATE_LIMITS || '').split(',').map(r => r.trim().split('=')).filter(r => r.length === 2))));
+// rejected events (rate-limited or malformed) count as strikes; too many within the window disconnects every socket of the offender for a while
+const SOCKET_STRIKE_LIMIT = parseInt(process.env.SOCKET_STRIKE_LIMIT || '30', 10);
+const SOCKET_STRIKE_WINDOW_MS = 60 * 1000;
+const SOCKET_FLOOD_BLOCK_MS = parseInt(process.env.SOCKET_FLOOD_BLOCK_SECONDS || '120', 10) * 1000;
+const RECEIPT_BATCH_MAX = 500;
+
+function parseRateLimits(spec){
+  const out = {};
+  for(const [event, rule] of Object.entries(spec)){
+    const [burst, perMinute] = String(rule).split('/').map(n => parseFloat(n));
+    if(burst > 0 && perMinute > 0) out[event] = { burst, perMinute };
+    else console.warn(`ignoring socket rate limit "${event}=${rule}"`);
+  }
+  return out;
+}
+
+// token buckets are per process: a client is held to each instance's limits. Strikes and flood blocks go through
+// a store shared like presence, so a blocked client cannot get back in through another instance. Interface:
+//   blockedFor(key) → ms left on a block or 0, strike(key) → true when this strike started a block, prune() drops expired entries.
+const socketBuckets = new Map();
+
+function createMemoryFloodStore(){
+  const strikes = new Map(), blocked = new Map();
+  return {
+    async blockedFor(key){ const until = blocked.get(key); return until && until > Date.now() ? until - Date.now() : 0; },
+    async strike(key){
+      const now = Date.now();
+      let s = strikes.get(key);
+      if(!s || now - s.since > SOCKET_STRIKE_WINDOW_MS){ s = { count:0, since:now }; strikes.set(key, s); }
+      if(++s.count < SOCKET_STRIKE_LIMIT) return false;
+      strikes.delete(key); blocked.set(key, now + SOCKET_FLOOD_BLOCK_MS);
+      return true;
+    },
+    prune(){
+      const now = Date.now();
+      for(const [key, s] of strikes) if(now - s.since > SOCKET_STRIKE_WINDOW_MS) strikes.delete(key);
+      for(const [key, until] of blocked) if(until <= now) blocked.delete(key);
+    }
+  };
+}
+
+// Redis layout: `flood:strikes:<uid>` counter expiring with the strike window, `flood:blocked:<uid>` expiring with the block
+function createRedisFloodStore(client){
+  const strikesKey = key => `flood:strikes:${key}`;
+  const blockedKey = key => `flood:blocked:${key}`;
+  return {
+    async blockedFor(key){ const ttl = await client.pTTL(blockedKey(key)); return ttl > 0 ? ttl : 0; },
+    async strike(key){
+      const count = await client.incr(strikesKey(key));
+      if(count === 1) await client.pExpire(strikesKey(key), SOCKET_STRIKE_WINDOW_MS);
+      if(count < SOCKET_STRIKE_LIMIT) return false;
+      await client.multi().del(strikesKey(key)).set(blockedKey(key), '1', { expiration: { type:'PX', value: SOCKET_FLOOD_BLOCK_MS } }).exec();
+      return true;
+    },
+    prune(){}
+  };
+}
+
+let floodStore = createMemoryFloodStore();
+
+// 0 when the event may run, otherwise ms until the next token
+function takeToken(key, event){
+  const rule = SOCKET_RATE_LIMITS[event];
+  if(!rule) return 0;
+  const now = Date.now(), id = `${key}|${event}`;
+  const b = socketBuckets.get(id) || { tokens: rule.burst, at: now };
+  b.tokens = Math.min(rule.burst, b.tokens + (now - b.at) * rule.perMinute / 60000); b.at = now;
+  socketBuckets.set(id, b);
+  if(b.tokens < 1) return Math.ceil((1 - b.tokens) * 60000 / rule.perMinute);
+  b.tokens -= 1;
+  return 0;
+}
+
+async function addStrike(socket){
+  const key = socket.data.userId;
+  if(!await floodStore.strike(key)) return;
+  console.warn(`socket flood: disconnecting ${key} for ${SOCKET_FLOOD_BLOCK_MS / 1000}s`);
+  emitToUser(key, 'flood:disconnect', { retryAfter: SOCKET_FLOOD_BLOCK_MS });
+  io.in(userRoom(key)).disconnectSockets(true);
+}
+
+// full buckets and stale strikes carry no state worth keeping
+setInterval(() => {
+  const now = Date.now();
+  for(const [id, b] of socketBuckets){ const rule = SOCKET_RATE_LIMITS[id.slice(id.lastIndexOf('|') + 1)]; if(b.tokens + (now - b.at) * rule.perMinute / 60000 >= rule.burst) socketBuckets.delete(id); }
+  floodStore.prune();
+}, 60 * 1000).unref();
+
+// inbound payload schemas: field → check; unknown fields are ignored, `$` checks the whole payload
+const isObjectId = v => typeof v === 'string' && /^[0-9a-f]{24}$/i.test(v);
+const optional = check => v => v == null || check(v);
+const shortString = max => v => typeof v === 'string' && v.length <= max;
+const idList = max => v => isObjectId(v) || (Array.isArray(v) && v.length <= max && v.every(isObjectId));
+
+const SOCKET_SCHEMAS = {
+  'private:join': { convId: isObjectId },
+  'private:leave': { convId: isObjectId },
+  'typing': { convId: isObjectId, typing: optional(v => typeof v === 'boolean') },
+  'private:message': { convId: isObjectId, tempId: optional(shortString(64)), text: optional(shortString(MESSAGE_TEXT_MAX)), attachments: optional(v => Array.isArray(v) && v.length <= MESSAGE_ATTACHMENTS_MAX && v.every(isObjectId)), replyTo: optional(isObjectId), $: p => !!((p.text && p.text.trim()) || (p.attachments && p.attachments.length)) },
+  'message:edit': { messageId: isObjectId, text: shortString(MESSAGE_TEXT_MAX) },
+  'message:delete': { messageId: isObjectId, forAll: optional(v => typeof v === 'boolean') },
+  'message:forward': { messageIds: idList(FORWARD_MAX_MESSAGES), targetConversationIds: idList(FORWARD_MAX_TARGETS) },
+  'message:pin': { convId: optional(isObjectId), messageId: isObjectId },
+  'message:unpin': { convId: optional(isObjectId), messageId: isObjectId },
+  'message:react': { messageId: isObjectId, emoji: shortString(16) },
+  'message:unreact': { messageId: isObjectId, emoji: shortString(16) },
+  'message:delivered': { convId: isObjectId, messageIds: optional(idList(RECEIPT_BATCH_MAX)), ids: optional(idList(RECEIPT_BATCH_MAX)) },
+  'message:seen': { convId: isObjectId, messageIds: optional(idList(RECEIPT_BATCH_MAX)), ids: optional(idList(RECEIPT_BATCH_MAX)) },
+  'conversation:read': { convId: isObjectId },
+  'presence:ping': null
+};
+
+function validPayload(schema, payload){
+  if(!schema) return true;
+  if(!payload || typeof payload !== 'object' || Array.isArray(payload)) return false;
+  return Object.entries(schema).every(([k, check]) => k === '$' ? check(payload) : check(payload[k]));
+}
+
+// resolves the handshake token before any handler runs; no token, or a revoked or expired session, refuses the connection.
+// Conversation rooms are joined here from the user's memberships, so no event can arrive before they are in place.
+io.use(async (socket, next) => {
   const token = (socket.handshake.auth && socket.handshake.auth.token) || (socket.handshake.query && socket.handshake.query.token);
-  if(token){ try{ const payload = jwt.verify(token, JWT_SECRET); socket.data.userId = payload.id; setOnline(payload.id, socket.id).catch(console.error); }catch(err){ console.warn('socket auth invalid', err.message); } }
+  if(!token) return next(new Error('not_authenticated'));
+  try{
+    const r = await resolveAccessToken(token);
+    if(r.error){ console.warn('socket auth invalid', r.error); return next(new Error(r.error)); }
+    socket.data.userId = String(r.user._id); socket.data.sessionId = String(r.session._id);
+    const wait = await floodStore.blockedFor(socket.data.userId);
+    if(wait){ const err = new Error('rate_limited'); err.data = { retryAfter: wait }; return next(err); }
+    const convs = await Conversation.find({ participants: r.user._id }).select('_id').lean();
+    socket.join([userRoom(socket.data.userId), `session:${socket.data.sessionId}`, ...convs.map(c => String(c._id))]);
+    next();
+  }catch(err){ next(err); }
+});
+
+io.on('connection', (socket) => {
+  setOnline(socket.data.userId, socket.id).catch(console.error);
+
+  // every event passes the rate limit and its schema before the handler sees it; `cb` is always callable
+  const on = (event, handler) => socket.on(event, (payload, ack) => {
+    const cb = typeof ack === 'function' ? ack : (typeof payload === 'function' ? payload : () => {});
+    const retryAfter = takeToken(socket.data.userId, event);
+    if(retryAfter){ addStrike(socket).catch(console.error); return cb({ ok:false, error:'rate_limited', retryAfter }); }
+    if(!validPayload(SOCKET_SCHEMAS[event], payload)){ addStrike(socket).catch(console.error); return cb({ ok:false, error:'invalid_payload' }); }
+    Promise.resolve(handler(payload || {}, cb)).catch(err => console.error(`socket ${event} err`, err));
+  });
 
-  socket.on('private:join', ({ convId }) => { if(convId) socket.join(String(convId)); });
-  socket.on('private:leave', ({ convId }) => { if(convId) socket.leave(String(convId)); });
+  // rooms are joined on connect and on membership changes; an explicit join only re-syncs a room the user belongs to
+  on('private:join', async ({ convId }, cb) => { const r = await authorizeConversation(convId, socket.data.userId); if(r.error) return cb({ ok:false, error:r.error }); socket.join(String(convId)); cb({ ok:true }); });
+  on('private:leave', ({ convId }) => { socket.leave(String(convId)); });
 
-  socket.on('typing', async ({ convId, typing }) => {
-    if(!convId) return;
+  on('typing', async ({ convId, typing }) => {
+    if((await authorizeConversation(convId, socket.data.userId)).error) return;
     // include username/displayName with typing broadcast (if available)
     let username = null;
-    try{ if(socket.data.userId){ const u = await User.findById(socket.data.userId).select('displayName username').lean(); if(u) username = u.displayName || u.username; } }catch(e){}
-    socket.to(String(convId)).emit('typing', { convId, userId: socket.data.userId, typing, username });
+    try{ const u = await User.findById(socket.data.userId).select('displayName username').lean(); if(u) username = u.displayName || u.username; }catch(e){}
+    const hidden = userRooms(await blockRelations(socket.data.userId));
+    socket.to(String(convId)).except(hidden).emit('typing', { convId, userId: socket.data.userId, typing, username });
   });
 
-  socket.on('private:message', async (payload, ack) => {
+  on('private:message', async (payload, ack) => {
     try{
-      const { convId, tempId, text, attachments } = payload || {};
+      const { convId, tempId, text, attachments, replyTo } = payload || {};
       const senderId = socket.data.userId;
-      if(!senderId) return ack && ack({ ok:false, error:'not_authenticated' });
-      const msg = new Message({ conversationId: convId, senderId, text: text || '', attachments: attachments || [] });
+      const access = await authorizeConversation(convId, senderId, 'post');
+      if(access.error) return ack({ ok:false, error:access.error });
+      // a reply must quote a message from the same conversation
+      if(replyTo && !(await Message.exists({ _id: replyTo, conversationId: convId }))) return ack({ ok:false, error:'invalid_reply' });
+      // attachments are upload ids; the stored copy comes from the sender's own upload records, never from the client
+      const uploadIds = attachments || [];
+      const uploads = uploadIds.length ? await Upload.find({ _id: { $in: uploadIds }, userId: senderId }).lean() : [];
+      const byId = new Map(uploads.map(u => [String(u._id), u.attachment]));
+      if(!uploadIds.every(id => byId.has(String(id)))) return ack({ ok:false, error:'invalid_attachment' });
+      const msg = new Message({ conversationId: convId, senderId, text: text || '', attachments: uploadIds.map(id => byId.get(String(id))), replyTo: replyTo || undefined });
       await msg.save();
       await Conversation.findByIdAndUpdate(convId, { lastMessageText: text, lastMessageAt: new Date() });
-      const populated = await Message.findById(msg._id).populate('senderId', 'username displayName avatarUrl').lean();
-      const sendMsg = { ...populated, from: populated.senderId ? populated.senderId._id : null, fromName: populated.senderId ? (populated.senderId.displayName || populated.senderId.username) : null, fromAvatar: populated.senderId ? populated.senderId.avatarUrl : null };
+      const populated = await withMessageRefs(Message.findById(msg._id)).lean();
+      const sendMsg = toClientMessage(populated);
       io.to(String(convId)).emit('private:message', { conversationId: convId, message: sendMsg });
       if(typeof ack === 'function') ack({ ok:true, tempId, message: sendMsg });
     }catch(err){ console.error('socket private:message err', err); if(typeof ack === 'function') ack({ ok:false, error: err.message }); }
   });
 
-  socket.on('message:edit', async ({ messageId, text }, cb) => {
-    try{ const msg = await Message.findById(messageId); if(!msg) return cb && cb({ ok:false, error:'not_found' }); if(String(msg.senderId) !== String(socket.data.userId)) return cb && cb({ ok:false, error:'not_allowed' }); msg.text = text; msg.editedAt = new Date(); await msg.save(); const populated = await Message.findById(msg._id).populate('senderId', 'username displayName avatarUrl').lean(); const payload = { ...populated, from: populated.senderId ? populated.senderId._id : null, fromName: populated.senderId ? (populated.senderId.displayName || populated.senderId.username) : null }; io.to(String(msg.conversationId)).emit('message:edited', payload); cb && cb({ ok:true, message: payload }); }catch(err){ console.error('socket message:edit err', err); cb && cb({ ok:false, error: err.message }); }
+  on('message:edit', async ({ messageId, text }, cb) => {
+    try{ const r = await editMessage(messageId, socket.data.userId, text); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true, message: r.message }); }catch(err){ console.error('socket message:edit err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  on('message:delete', async ({ messageId, forAll }, cb) => {
+    try{ const r = await deleteMessage(messageId, socket.data.userId, !!forAll); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true }); }catch(err){ console.error('socket message:delete err', err); cb && cb({ ok:false, error: err.message }); }
   });
 
-  socket.on('message:delete', async ({ messageId, forAll }, cb) => {
-    try{ const msg = await Message.findById(messageId); if(!msg) return cb && cb({ ok:false, error:'not_found' }); if(forAll){ if(String(msg.senderId) !== String(socket.data.userId)) return cb && cb({ ok:false, error:'not_allowed' }); msg.deleted = true; msg.deletedForAll = true; msg.text = ''; await msg.save(); io.to(String(msg.conversationId)).emit('message:deleted', { conversationId: msg.conversationId, messageId: msg._id, deletedForAll: true }); } else { msg.deleted = true; await msg.save(); io.to(String(msg.conversationId)).emit('message:deleted', { conversationId: msg.conversationId, messageId: msg._id, deletedForAll: false }); } cb && cb({ ok:true }); }catch(err){ console.error('socket message:delete err', err); cb && cb({ ok:false, error: err.message }); }
+  on('message:forward', async ({ messageIds, targetConversationIds }, cb) => {
+    try{ const r = await forwardMessages(socket.data.userId, messageIds, targetConversationIds); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true, messages: r.messages }); }catch(err){ console.error('socket message:forward err', err); cb && cb({ ok:false, error: err.message }); }
   });
 
-  socket.on('message:seen', async ({ convId, messageIds }, cb) => {
-    try{ if(!Array.isArray(messageIds)) messageIds = [messageIds]; await Message.updateMany({ _id: { $in: messageIds } }, { $addToSet: { seenBy: socket.data.userId } }); io.to(String(convId)).emit('message:seen', { conversationId: convId, messageIds, userId: socket.data.userId }); cb && cb({ ok:true }); }catch(err){ console.error('socket message:seen err', err); cb && cb({ ok:false, error: err.message }); }
+  on('message:pin', async ({ convId, messageId }, cb) => {
+    try{ const r = await setPin(messageId, socket.data.userId, true, convId); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true, pins: r.pins }); }catch(err){ console.error('socket message:pin err', err); cb && cb({ ok:false, error: err.message }); }
   });
 
-  socket.on('presence:ping', async ()=>{ const uid = socket.data.userId; if(!uid) return; await User.findByIdAndUpdate(uid, { lastSeenAt: new Date() }); });
+  on('message:unpin', async ({ convId, messageId }, cb) => {
+    try{ const r = await setPin(messageId, socket.data.userId, false, convId); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true, pins: r.pins }); }catch(err){ console.error('socket message:unpin err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  on('message:react', async ({ messageId, emoji }, cb) => {
+    try{ const r = await setReaction(messageId, socket.data.userId, emoji, true); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true, reactions: r.reactions }); }catch(err){ console.error('socket message:react err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  on('message:unreact', async ({ messageId, emoji }, cb) => {
+    try{ const r = await setReaction(messageId, socket.data.userId, emoji, false); cb && cb(r.error ? { ok:false, error:r.error } : { ok:true, reactions: r.reactions }); }catch(err){ console.error('socket message:unreact err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  // recipients ack messages they received; senders hear about the first delivery per message
+  on('message:delivered', async ({ convId, messageIds, ids }, cb) => {
+    try{
+      const uid = socket.data.userId;
+      let list = messageIds || ids;
+      if(!Array.isArray(list)) list = [list];
+      list = list.filter(id => mongoose.Types.ObjectId.isValid(id));
+      if(!list.length) return cb({ ok:false, error:'invalid_payload' });
+      const access = await authorizeConversation(convId, uid);
+      if(access.error) return cb({ ok:false, error:access.error });
+      await recordReceipt(convId, uid, list, 'deliveredTo');
+      cb && cb({ ok:true });
+    }catch(err){ console.error('socket message:delivered err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  // client sends `ids`; older clients sent `messageIds`
+  on('message:seen', async ({ convId, messageIds, ids }, cb) => {
+    try{
+      const uid = socket.data.userId;
+      let list = messageIds || ids;
+      if(!Array.isArray(list)) list = [list];
+      list = list.filter(id => mongoose.Types.ObjectId.isValid(id));
+      if(!list.length) return cb({ ok:false, error:'invalid_payload' });
+      const access = await authorizeConversation(convId, uid);
+      if(access.error) return cb({ ok:false, error:access.error });
+      await recordReceipt(convId, uid, list, 'seenBy');
+      io.to(String(convId)).emit('message:seen', { conversationId: convId, messageIds: list, userId: uid });
+      const newest = await Message.findOne({ _id: { $in: list }, conversationId: convId }).sort({ createdAt: -1, _id: -1 }).select('_id createdAt').lean();
+      const unreadCount = newest ? await advanceReadPosition(convId, uid, newest.createdAt, newest._id) : undefined;
+      cb && cb({ ok:true, unreadCount });
+    }catch(err){ console.error('socket message:seen err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  on('conversation:read', async ({ convId }, cb) => {
+    try{ const access = await authorizeConversation(convId, socket.data.userId); if(access.error) return cb({ ok:false, error:access.error }); const unreadCount = await markConversationRead(convId, socket.data.userId); cb && cb({ ok:true, unreadCount }); }catch(err){ console.error('socket conversation:read err', err); cb && cb({ ok:false, error: err.message }); }
+  });
+
+  on('presence:ping', async ()=>{ const uid = socket.data.userId; if(!uid) return; await User.findByIdAndUpdate(uid, { lastSeenAt: new Date() }); });
 
   socket.on('disconnect', ()=>{ const sid = socket.id; const uid = socket.data.userId; if(uid) setOffline(uid, sid).catch(console.error); });
 });
 
-server.listen(PORT, ()=>{ console.log(`Server listening on port ${PORT}`); });
\ No newline at end of file
+// connects Redis when the adapter or the presence store use it, then starts accepting connections
+async function start(){
+  for(const [name, value] of [['SOCKET_ADAPTER', SOCKET_ADAPTER], ['PRESENCE_STORE', PRESENCE_STORE]]) if(!['memory', 'redis'].includes(value)) throw new Error(`${name} must be memory or redis`);
+  let redis = null;
+  if(SOCKET_ADAPTER === 'redis' || PRESENCE_STORE === 'redis'){
+    if(!REDIS_URL) throw new Error('REDIS_URL is required for the redis adapter or presence store');
+    redis = createClient({ url: REDIS_URL });
+    redis.on('error', err => console.error('Redis err:', err.message));
+    await redis.connect();
+    floodStore = createRedisFloodStore(redis);
+  }
+  if(SOCKET_ADAPTER === 'redis'){
+    const sub = redis.duplicate();
+    sub.on('error', err => console.error('Redis subscriber err:', err.message));
+    await sub.connect();
+    io.adapter(createAdapter(redis, sub));
+  }
+  if(PRESENCE_STORE === 'redis') presence = createRedisPresence(redis, INSTANCE_ID);
+  // a lone process owns all presence, so anyone still marked online was left over by the previous run
+  else User.updateMany({ online:true }, { $set: { online:false } }).catch(err => console.error('presence reset err', err));
+
+  await presence.heartbeat();
+  setInterval(async ()=>{ try{ await presence.heartbeat(); for(const uid of await presence.sweep()) await markOffline(uid); }catch(err){ console.error('presence heartbeat err', err); } }, PRESENCE_HEARTBEAT_MS);
+  server.listen(PORT, ()=>{ console.log(`Server listening on port ${PORT}${cluster.isWorker ? ` (worker ${process.pid})` : ''}`); });
+}
+
+start().catch(err => { console.error('Startup failed:', err.message); process.exit(1); });
\ No newline at end of file